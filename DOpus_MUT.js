@@ -1,7 +1,7 @@
 // @ts-check
 /* eslint quotes: ['error', 'single'] */
 /* eslint-disable no-inner-declarations */
-/* global Enumerator DOpus Script ActiveXObject */
+/* global Enumerator DOpus Script ActiveXObject WScript process console require MUT_SKIP_SAMPLES MUT_REPORTER */
 ///<reference path="./_DOpusDefinitions.d.ts" />
 
 /**
@@ -22,13 +22,21 @@
  * * an optional `mut.teardown()` callback after every test
  * * `mut.run()` to execute all tests
  *
- * @param {{name: string, abortOnErrors?: boolean, autoFlush?: boolean, skipSuccess?: boolean, cbOut?: function}} options
+ * @param {{name: string, abortOnErrors?: boolean, autoFlush?: boolean, skipSuccess?: boolean, cbOut?: function, reporter?: string|object, host?: string|object, snapshotStore?: object, updateSnapshots?: boolean, slowThreshold?: number, register?: boolean}} options
  * can have the following keys:
  * * `name`: test suite name
- * * `abortOnErrors`: aborts as soon as any assertion fails
+ * * `abortOnErrors`: aborts as soon as any assertion fails; if false, the test continues but is still marked as failed
  * * `autoFlush`: flushes the messages after each assertion
- * * `skipSuccess`: success messages are not output or added to buffer
+ * * `skipSuccess`: success messages are not output or added to buffer, failures are always reported
  * * `cbOut`: callback function for custom assertion handling (assertion failures cannot be supressed!)
+ * * `reporter`: output format, `dopus` (default, colored HTML for the script console), `text`, `tap` (TAP 13), `junit` (JUnit XML), `json`,
+ *   or an own reporter object, see `MUT.reporters`
+ * * `host`: environment the output goes to, `dopus`, `wsh` or `node`, or an own host object, see `MUT.hosts`; detected if omitted
+ * * `snapshotStore`: where `assertMatchesSnapshot()` keeps its snapshots, default `new MUT.MemorySnapshotStore()`,
+ *   see also `MUT.JSONFileSnapshotStore`
+ * * `updateSnapshots`: mismatched or missing snapshots are written instead of failing
+ * * `slowThreshold`: tests which take at least this many milliseconds are flagged as slow, 0 (default) disables it
+ * * `register`: adds the suite to `MUT.registry`, so that `MUT.runAll()` runs it
  *
  * the `cbOut`callback receives 2 parameters:
  * * `msg`: string
@@ -39,6 +47,9 @@
  *
  * *Note:* `.flush()` method is effective only within `.addTest()` methods, not outside
  *
+ * `.run()` returns the results (also available via `.getResults()`), with suite totals and one record per test,
+ * so that the calling script can check `.success` and act accordingly
+ *
  * @example
  * ```javascript
     var mut = new MUT({
@@ -110,8 +121,6 @@
  *
  *
  *
- * I may or may not add some .assertXYZ syntactic sugar methods in the future, e.g. .assertNotUndefined()...
- *
  * **DISCLAIMER: I do not accept any liability, responsibility, whateverbility, you are on your own!**
  *
  * @license Creative Commons Attribution-ShareAlike 4.0 International (CC BY-SA 4.0)
@@ -126,197 +135,2221 @@ function MUT(options) {
         throw new Error('parameters must be passed as an object');
     }
     this.getOutLine = function (/** @type {string} */ msg, /** @type {boolean} */ status) {
-        // non-fancy
-        // return 'status: ' + status + ', message: ' + msg;
-        // fancy
-        return sprintf('<b><font color="%s">%s</font></b>', (status === true ? '#33ff00' : status === false ? '#ff6666' : '#cccccc'), msg||'');
+        return this.reporter.formatLine ? this.reporter.formatLine(msg, status) : (msg || '');
     };
     this.stdOut = function (/** @type {string} */ msg, /** @type {boolean} */ status) {
-        DOpus.output(this.getOutLine(msg, status));
+        this.host.output(this.getOutLine(msg, status));
     };
+    this.host           = MUT.createHost(options.host);
     this.name           = (typeof options.name === 'string' ? options.name : 'mut');
     this.prefix         = this.name ? this.name + ': ' : '';
     this.abortOnErrors  = typeof options.abortOnErrors === 'boolean' ? options.abortOnErrors : true;
     this.autoFlush      = typeof options.autoFlush === 'boolean' ? options.autoFlush : true;
     this.skipSuccess    = typeof options.skipSuccess === 'boolean' ? options.skipSuccess : true;
-    this.$out           = typeof options.cbOut === 'function' ? options.cbOut : this.stdOut;
+    this.$out           = MUT.markOwnOutput(typeof options.cbOut === 'function' ? options.cbOut : this.stdOut);
+    this.reporter       = MUT.createReporter(options.reporter || this.host.reporter, this);
+    this.snapshotStore  = options.snapshotStore || new MUT.MemorySnapshotStore();
+    this.updateSnapshots = !!options.updateSnapshots;
+    this.slowThreshold  = typeof options.slowThreshold === 'number' ? options.slowThreshold : 0;
+
+    this.tests          = [];
+    this.setup          = null;
+    this.teardown       = null;
+    this.messages       = [];
+    this.currentTest    = null;
+    this.results        = null;
+    this.doubles        = [];
+    this.propertyDepth  = 0;
+    this.rootGroup      = MUT.newGroup('', null);
+    this.currentGroup   = this.rootGroup;
+
+    if (options.register) {
+        MUT.registry.push(this);
+    }
+}
+
+MUT.prototype = {
+    /**
+     * Every assertion ends up here: the result is recorded against the running test,
+     * then output or buffered, unless it is a success and `skipSuccess` is set.
+     * Failures are never suppressed.
+     */
+    collectOrOutputOrAbort: function (/** @type {string} */ msg, /** @type {boolean} */ status) {
+        if (this.propertyDepth) {
+            // within forAll() properties, assertions only decide whether the property holds
+            if (status === false) throw new MUT.AssertionError(msg);
+            return;
+        }
+        var record = { 'status': status, 'msg': msg };
+        if (this.currentTest) {
+            this.currentTest.assertions.push(record);
+            if (status === false) this.currentTest.failures++;
+        }
+        this.report('assertion', this.currentTest, record);
+        if (status === false && this.abortOnErrors) {
+            if (!this.autoFlush) this.flush();
+            throw new MUT.AssertionError(msg);
+        }
+    },
+    fail: function (/** @type {string} */ msg) {
+        if (!this.autoFlush) this.flush();
+        throw new MUT.AssertionError(msg);
+    },
+    /**
+     * Calls the given reporter hook, if the reporter implements it, with the MUT instance and the remaining arguments.
+     *
+     * @param {string} hook `suiteStart`, `testStart`, `assertion`, `testEnd` or `suiteEnd`
+     */
+    report: function (hook) {
+        if (typeof this.reporter[hook] === 'function') {
+            this.reporter[hook].apply(this.reporter, [this].concat(Array.prototype.slice.call(arguments, 1)));
+        }
+    },
+    getMessages: function () {
+        return this.messages;
+    },
+    flush: function () {
+        var out = '';
+        if (this.messages.length) {
+            out += '\n';
+            for (var i = 0; i < this.messages.length; i++) {
+                var item = this.messages[i];
+                out += this.getOutLine(item.msg, item.status) + '\n';
+            }
+            this.$out(out, true);
+        }
+        this.messages = [];
+    },
+    /**
+     * @param {string} name
+     * @param {function(object): void} fnTester called with the MUT instance as `this` and the test context, see `setSetup()`
+     * @param {{skip?: boolean, only?: boolean, tags?: string[], maxDuration?: number}=} options
+     * * `skip`: the test is not run and reported as skipped
+     * * `only`: if any test of the suite has this flag, all tests without it are filtered out
+     * * `tags`: e.g. `['slow', 'fs']`, for the `run()` filter
+     * * `maxDuration`: budget in milliseconds, a test which takes longer fails once it finishes
+     *   (JScript cannot interrupt a running test); setup & teardown are not counted
+     */
+    addTest: function(/** @type {string} */ name, /** @type {function} */ fnTester, /** @type {object} */ options) {
+        options = options || {};
+        this.tests.push({
+            name: name,
+            fullName: this.currentGroup.path.concat([name]).join(' > '),
+            group: this.currentGroup,
+            tester: fnTester,
+            skip: !!options.skip,
+            only: !!options.only,
+            tags: options.tags || [],
+            maxDuration: typeof options.maxDuration === 'number' ? options.maxDuration : 0
+        });
+    },
+    /**
+     * Adds one test per case, i.e. data-driven tests; each case passes, fails and is reported independently.
+     *
+     * @param {string} nameTemplate sprintf() format for the test names, filled with the case values;
+     * for an object of cases the case name comes first, e.g. `'%s: %2$s'`
+     * @param {any[]|object} cases array of cases or an object of cases keyed by case name;
+     * each case is an array of values, any other value is treated as a single value
+     * @param {function} fn called with the case values followed by the test context, with the MUT instance as `this`
+     * @param {object=} options as for `addTest()`, applied to every case
+     * @example
+     * ```javascript
+        mut.addTestCases('parse %s -> %d', [['1', 1], ['0x10', 16], ['', NaN]], function (input, exp) {
+            mut.assertDeepEquals(parseNumber(input), exp);
+        });
+     * ```
+     */
+    addTestCases: function (/** @type {string} */ nameTemplate, /** @type {any} */ cases, /** @type {function} */ fn, /** @type {object} */ options) {
+        var i, key, args;
+        function tester(args) {
+            return function (ctx) {
+                return fn.apply(this, args.concat([ctx]));
+            };
+        }
+        function toArgs(row) {
+            return Object.prototype.toString.call(row) === '[object Array]' ? row.slice(0) : [row];
+        }
+        if (Object.prototype.toString.call(cases) === '[object Array]') {
+            for (i = 0; i < cases.length; i++) {
+                args = toArgs(cases[i]);
+                this.addTest(sprintf.apply(null, [nameTemplate].concat(args)), tester(args), options);
+            }
+        } else if (typeof cases === 'object' && cases !== null) {
+            for (key in cases) {
+                if (!cases.hasOwnProperty(key)) continue;
+                args = toArgs(cases[key]);
+                this.addTest(sprintf.apply(null, [nameTemplate, key].concat(args)), tester(args), options);
+            }
+        } else {
+            throw new Error('addTestCases: cases must be an array or an object');
+        }
+    },
+    /**
+     * Adds a group of tests: all tests, hooks & nested groups added within `fn` belong to this group.
+     *
+     * @param {string} name
+     * @param {function} fn called immediately, with the MUT instance as `this`
+     */
+    group: function (/** @type {string} */ name, /** @type {function} */ fn) {
+        var parent = this.currentGroup;
+        this.currentGroup = MUT.newGroup(name, parent);
+        try {
+            fn.apply(this);
+        } finally {
+            this.currentGroup = parent;
+        }
+    },
+    /**
+     * Adds a hook to the current group (or the suite, outside of any group),
+     * which runs once before the first test of the group which is actually run.
+     * If it throws, all tests of the group are reported as errored.
+     * Spies & stubs created in it last until the group's `afterAll` hooks have run.
+     */
+    beforeAll: function (/** @type {function} */ fn) {
+        this.currentGroup.beforeAll.push(fn);
+    },
+    /**
+     * Adds a hook to the current group, which runs once after its last test, if its `beforeAll` hooks have been run,
+     * even if one of them threw. If it throws or an assertion in it fails, an `afterAll` test is reported as failed or errored.
+     */
+    afterAll: function (/** @type {function} */ fn) {
+        this.currentGroup.afterAll.push(fn);
+    },
+    /**
+     * Adds a hook to the current group, which runs before each of its tests; outer groups' hooks run first.
+     * Receives the test context, see `setSetup()`.
+     */
+    beforeEach: function (/** @type {function} */ fn) {
+        this.currentGroup.beforeEach.push(fn);
+    },
+    /**
+     * Adds a hook to the current group, which runs after each of its tests; inner groups' hooks run first.
+     * Receives the test context, see `setSetup()`.
+     */
+    afterEach: function (/** @type {function} */ fn) {
+        this.currentGroup.afterEach.push(fn);
+    },
+
+    /**
+     * @param {function(object): void} fnSetup called before each test with a fresh context object,
+     * which it can populate; the test and the teardown receive the same object.
+     * If it throws, the test is not run and reported as errored.
+     */
+    setSetup: function(/** @type {function} */ fnSetup) {
+        this.setup = fnSetup;
+    },
+
+    /**
+     * @param {function(object): void} fnTeardown called after each test with the test context, if the setup succeeded.
+     * If it throws, the test is reported as errored.
+     */
+    setTeardown: function(/** @type {function} */ fnTeardown) {
+        this.teardown = fnTeardown;
+    },
+
+    /**
+     * Replaces `obj[method]` with a spy which calls the original and records every call.
+     * Spies are restored automatically after each test, after the teardown,
+     * or, if created in a `beforeAll` hook, after the group's `afterAll` hooks.
+     *
+     * Without parameters, returns a standalone spy, e.g. to pass as callback.
+     *
+     * @param {object=} obj
+     * @param {string=} method
+     * @returns {MUTSpy}
+     */
+    spy: function (/** @type {object} */ obj, /** @type {string} */ method) {
+        if (obj === undefined) {
+            return MUT.createSpy(null, 'spy', function () {});
+        }
+        if (typeof obj[method] !== 'function') {
+            throw new Error('spy: ' + method + ' is not a function');
+        }
+        var spy = MUT.createSpy(obj, method, obj[method]);
+        this.doubles.push(spy);
+        return spy;
+    },
+    /**
+     * Replaces `obj[method]` with a stub which calls `impl` instead of the original and records every call.
+     * Stubs are restored automatically like spies, see `spy()`.
+     *
+     * @param {object} obj
+     * @param {string} method does not need to exist
+     * @param {function=} impl defaults to a function returning undefined
+     * @returns {MUTSpy}
+     */
+    stub: function (/** @type {object} */ obj, /** @type {string} */ method, /** @type {function} */ impl) {
+        if (typeof obj !== 'object' && typeof obj !== 'function' || obj === null) {
+            throw new Error('stub: obj must be an object');
+        }
+        var stub = MUT.createSpy(obj, method, typeof impl === 'function' ? impl : function () {});
+        this.doubles.push(stub);
+        return stub;
+    },
+    /**
+     * Restores all spies & stubs of the current test, or of the current group within `beforeAll` & `afterAll` hooks,
+     * in reverse order; called automatically after each test & after each group's `afterAll` hooks.
+     */
+    restoreAll: function () {
+        while (this.doubles.length) {
+            this.doubles.pop().restore();
+        }
+    },
+    /**
+     * Runs `fn` while intercepting the host's `output()` and, if possible, `DOpus.output()`, and returns the captured lines.
+     * The originals are restored even if `fn` throws. Output of MUT itself, i.e. via `$out()`, is passed through, not captured.
+     *
+     * In DOpus the DOpus object itself cannot be modified, so only output via `mut.host.output()` is captured there;
+     * with the fakes, e.g. via DOpus_MUT_Node.js, `DOpus.output()` is captured as well.
+     *
+     * @param {function(): void} fn called with the MUT instance as `this`
+     * @returns {string[]}
+     */
+    captureOutput: function (/** @type {function} */ fn) {
+        if (typeof fn !== 'function') {
+            throw new Error('captureOutput: fn must be a function');
+        }
+        var lines = [], host = this.host, hostOutput = host.output, dopus = null, dopusOutput;
+        function interceptor(original, thisValue) {
+            return function (line) {
+                if (MUT.ownOutputDepth) {
+                    original.call(thisValue, line);
+                } else {
+                    lines.push(String(line));
+                }
+            };
+        }
+        host.output = interceptor(hostOutput, host);
+        if (typeof DOpus !== 'undefined' && DOpus && typeof DOpus.output === 'function') {
+            try {
+                dopusOutput = DOpus.output;
+                DOpus.output = interceptor(dopusOutput, DOpus);
+                if (DOpus.output !== dopusOutput) dopus = DOpus;
+            } catch (e) {
+                // COM object, cannot be modified
+            }
+        }
+        try {
+            fn.call(this);
+        } finally {
+            host.output = hostOutput;
+            if (dopus) dopus.output = dopusOutput;
+        }
+        return lines;
+    },
+
+    assertEquals: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
+        var _status = act === exp;
+        var _msg = sprintf('%s%s %s - act=%s, exp=%s', (msg ? msg + ' -- ' : ''), 'assertEquals', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.inspect(exp)) + MUT.stringDiff(act, exp);
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertNotEquals: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
+        var _status = act !== exp;
+        var _msg = sprintf('%s%s %s - act=%s, exp!=%s', (msg ? msg + ' -- ' : ''), 'assertNotEquals', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertTypeofEquals: function (/** @type {any} */ act, /** @type {string} */ exp, /** @type {string} */ msg) {
+        var _status = typeof act === exp;
+        var _msg = sprintf('%s%s %s - act=%s, exp=%s', (msg ? msg + ' -- ' : ''), 'assertTypeofEquals', (_status ? 'ok' : 'err'), MUT.inspect(typeof act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertTypeofNotEquals: function (/** @type {any} */ act, /** @type {string} */ exp, /** @type {string} */ msg) {
+        var _status = typeof act !== exp;
+        var _msg = sprintf('%s%s %s - act=%s, exp!=%s', (msg ? msg + ' -- ' : ''), 'assertTypeofNotEquals', (_status ? 'ok' : 'err'), MUT.inspect(typeof act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    /**
+     * Fluent alternative to the assert methods, e.g. `mut.expect(act).toBe(exp)` or `mut.expect(act).not.toEqual(exp)`.
+     * The matchers call the corresponding assert methods, so messages, abort & reporting are the same.
+     *
+     * @param {any} actual
+     * @returns {MUT.Expectation}
+     */
+    expect: function (/** @type {any} */ actual) {
+        return new MUT.Expectation(this, actual, false);
+    },
+    assertTrue: function (/** @type {any} */ act, /** @type {string} */ msg) {
+        var _status = act === true;
+        var _msg = sprintf('%s%s %s - act=%s, exp=true', (msg ? msg + ' -- ' : ''), 'assertTrue', (_status ? 'ok' : 'err'), MUT.inspect(act));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertFalse: function (/** @type {any} */ act, /** @type {string} */ msg) {
+        var _status = act === false;
+        var _msg = sprintf('%s%s %s - act=%s, exp=false', (msg ? msg + ' -- ' : ''), 'assertFalse', (_status ? 'ok' : 'err'), MUT.inspect(act));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertTruthy: function (/** @type {any} */ act, /** @type {string} */ msg) {
+        var _status = !!act;
+        var _msg = sprintf('%s%s %s - act=%s, exp=truthy', (msg ? msg + ' -- ' : ''), 'assertTruthy', (_status ? 'ok' : 'err'), MUT.inspect(act));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertFalsy: function (/** @type {any} */ act, /** @type {string} */ msg) {
+        var _status = !act;
+        var _msg = sprintf('%s%s %s - act=%s, exp=falsy', (msg ? msg + ' -- ' : ''), 'assertFalsy', (_status ? 'ok' : 'err'), MUT.inspect(act));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertDefined: function (/** @type {any} */ act, /** @type {string} */ msg) {
+        var _status = act !== undefined;
+        var _msg = sprintf('%s%s %s - act=%s, exp!=undefined', (msg ? msg + ' -- ' : ''), 'assertDefined', (_status ? 'ok' : 'err'), MUT.inspect(act));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertUndefined: function (/** @type {any} */ act, /** @type {string} */ msg) {
+        var _status = act === undefined;
+        var _msg = sprintf('%s%s %s - act=%s, exp=undefined', (msg ? msg + ' -- ' : ''), 'assertUndefined', (_status ? 'ok' : 'err'), MUT.inspect(act));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertNull: function (/** @type {any} */ act, /** @type {string} */ msg) {
+        var _status = act === null;
+        var _msg = sprintf('%s%s %s - act=%s, exp=null', (msg ? msg + ' -- ' : ''), 'assertNull', (_status ? 'ok' : 'err'), MUT.inspect(act));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertNotNull: function (/** @type {any} */ act, /** @type {string} */ msg) {
+        var _status = act !== null;
+        var _msg = sprintf('%s%s %s - act=%s, exp!=null', (msg ? msg + ' -- ' : ''), 'assertNotNull', (_status ? 'ok' : 'err'), MUT.inspect(act));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertMatch: function (/** @type {string} */ act, /** @type {RegExp} */ exp, /** @type {string} */ msg) {
+        // search() ignores lastIndex, which test() would carry over between calls for global RegExps
+        var _status = typeof act === 'string' && act.search(exp) !== -1;
+        var _msg = sprintf('%s%s %s - act=%s, exp to match %s', (msg ? msg + ' -- ' : ''), 'assertMatch', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertNotMatch: function (/** @type {string} */ act, /** @type {RegExp} */ exp, /** @type {string} */ msg) {
+        var _status = typeof act !== 'string' || act.search(exp) === -1;
+        var _msg = sprintf('%s%s %s - act=%s, exp not to match %s', (msg ? msg + ' -- ' : ''), 'assertNotMatch', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    /**
+     * @param {string|any[]|object} act string (substring), array (element, compared via `===`) or object (own key)
+     * @param {any} exp
+     * @param {string=} msg
+     */
+    assertContains: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
+        var _status = MUT.contains(act, exp);
+        var _msg = sprintf('%s%s %s - act=%s, exp to contain %s', (msg ? msg + ' -- ' : ''), 'assertContains', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertNotContains: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
+        var _status = !MUT.contains(act, exp);
+        var _msg = sprintf('%s%s %s - act=%s, exp not to contain %s', (msg ? msg + ' -- ' : ''), 'assertNotContains', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertLength: function (/** @type {any} */ act, /** @type {number} */ exp, /** @type {string} */ msg) {
+        var len = act !== null && act !== undefined ? act.length : undefined;
+        var _status = len === exp;
+        var _msg = sprintf('%s%s %s - act=%s, exp=%s', (msg ? msg + ' -- ' : ''), 'assertLength', (_status ? 'ok' : 'err'), MUT.inspect(len), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertInstanceOf: function (/** @type {any} */ act, /** @type {function} */ exp, /** @type {string} */ msg) {
+        var _status = act instanceof exp;
+        var _msg = sprintf('%s%s %s - act=%s, exp instance of %s', (msg ? msg + ' -- ' : ''), 'assertInstanceOf', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.functionName(exp) || 'anonymous');
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    /**
+     * For floating-point results, e.g. `assertCloseTo(0.1 + 0.2, 0.3)`.
+     *
+     * @param {number} act
+     * @param {number} exp
+     * @param {number=} epsilon max. allowed absolute difference, default 1e-9
+     * @param {string=} msg
+     */
+    assertCloseTo: function (/** @type {number} */ act, /** @type {number} */ exp, /** @type {number} */ epsilon, /** @type {string} */ msg) {
+        if (typeof epsilon !== 'number') epsilon = 1e-9;
+        var _status = typeof act === 'number' && Math.abs(act - exp) <= epsilon;
+        var _msg = sprintf('%s%s %s - act=%s, exp=%s+/-%s', (msg ? msg + ' -- ' : ''), 'assertCloseTo', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.inspect(exp), epsilon);
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertGreaterThan: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
+        var _status = act > exp;
+        var _msg = sprintf('%s%s %s - act=%s, exp>%s', (msg ? msg + ' -- ' : ''), 'assertGreaterThan', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertLessThan: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
+        var _status = act < exp;
+        var _msg = sprintf('%s%s %s - act=%s, exp<%s', (msg ? msg + ' -- ' : ''), 'assertLessThan', (_status ? 'ok' : 'err'), MUT.inspect(act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertDeepEquals: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
+        var diff = MUT.deepDiff(act, exp);
+        var _status = diff === null;
+        var _msg = _status
+            ? sprintf('%s%s %s', (msg ? msg + ' -- ' : ''), 'assertDeepEquals', 'ok')
+            : sprintf('%s%s %s - %sact=%s, exp=%s', (msg ? msg + ' -- ' : ''), 'assertDeepEquals', 'err', (diff.path ? diff.path + ': ' : ''), MUT.inspect(diff.act), MUT.inspect(diff.exp)) + MUT.stringDiff(diff.act, diff.exp);
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertNotDeepEquals: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
+        var diff = MUT.deepDiff(act, exp);
+        var _status = diff !== null;
+        var _msg = _status
+            ? sprintf('%s%s %s - %sact=%s, exp!=%s', (msg ? msg + ' -- ' : ''), 'assertNotDeepEquals', 'ok', (diff.path ? diff.path + ': ' : ''), MUT.inspect(diff.act), MUT.inspect(diff.exp))
+            : sprintf('%s%s %s - values are deeply equal', (msg ? msg + ' -- ' : ''), 'assertNotDeepEquals', 'err');
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    /**
+     * @param {function} fn called with the MUT instance as `this`
+     * @param {string|RegExp|function=} matcher exact error message, RegExp tested against the message,
+     * Error constructor (e.g. `TypeError`) or a predicate function receiving the thrown value; any thrown value passes if omitted
+     * @param {string=} msg
+     * @returns {any} the thrown value, if any
+     */
+    assertThrows: function (/** @type {function} */ fn, /** @type {any} */ matcher, /** @type {string} */ msg) {
+        if (typeof fn !== 'function') {
+            throw new Error('assertThrows: fn must be a function');
+        }
+        var thrown = false, err;
+        try {
+            fn.apply(this);
+        } catch (e) {
+            thrown = true;
+            err = e;
+        }
+        var _status = thrown && MUT.matchError(err, matcher);
+        var _msg = thrown
+            ? sprintf('%s%s %s - threw=%s, exp=%s', (msg ? msg + ' -- ' : ''), 'assertThrows', (_status ? 'ok' : 'err'), MUT.describeError(err), MUT.describeMatcher(matcher))
+            : sprintf('%s%s %s - nothing was thrown, exp=%s', (msg ? msg + ' -- ' : ''), 'assertThrows', 'err', MUT.describeMatcher(matcher));
+        this.collectOrOutputOrAbort(_msg, _status);
+        return err;
+    },
+    /**
+     * @param {function} fn called with the MUT instance as `this`
+     * @param {string=} msg
+     * @returns {any} the return value of `fn`
+     */
+    assertDoesNotThrow: function (/** @type {function} */ fn, /** @type {string} */ msg) {
+        if (typeof fn !== 'function') {
+            throw new Error('assertDoesNotThrow: fn must be a function');
+        }
+        var thrown = false, err, ret;
+        try {
+            ret = fn.apply(this);
+        } catch (e) {
+            thrown = true;
+            err = e;
+        }
+        var _msg = thrown
+            ? sprintf('%s%s %s - threw=%s', (msg ? msg + ' -- ' : ''), 'assertDoesNotThrow', 'err', MUT.describeError(err))
+            : sprintf('%s%s %s', (msg ? msg + ' -- ' : ''), 'assertDoesNotThrow', 'ok');
+        this.collectOrOutputOrAbort(_msg, !thrown);
+        return ret;
+    },
+    /**
+     * @param {MUTSpy} spy as returned by `spy()` or `stub()`
+     * @param {string=} msg
+     */
+    assertCalled: function (/** @type {MUTSpy} */ spy, /** @type {string} */ msg) {
+        MUT.checkSpy(spy, 'assertCalled');
+        var _status = spy.callCount > 0;
+        var _msg = sprintf('%s%s %s - %s: act=%s calls, exp>0 calls', (msg ? msg + ' -- ' : ''), 'assertCalled', (_status ? 'ok' : 'err'), spy.displayName, spy.callCount);
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertNotCalled: function (/** @type {MUTSpy} */ spy, /** @type {string} */ msg) {
+        MUT.checkSpy(spy, 'assertNotCalled');
+        var _status = spy.callCount === 0;
+        var _msg = sprintf('%s%s %s - %s: act=%s calls, exp=0 calls', (msg ? msg + ' -- ' : ''), 'assertNotCalled', (_status ? 'ok' : 'err'), spy.displayName, spy.callCount);
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    assertCalledTimes: function (/** @type {MUTSpy} */ spy, /** @type {number} */ exp, /** @type {string} */ msg) {
+        MUT.checkSpy(spy, 'assertCalledTimes');
+        var _status = spy.callCount === exp;
+        var _msg = sprintf('%s%s %s - %s: act=%s calls, exp=%s calls', (msg ? msg + ' -- ' : ''), 'assertCalledTimes', (_status ? 'ok' : 'err'), spy.displayName, spy.callCount, exp);
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    /**
+     * Checks if any of the calls received exactly the given arguments, compared via MUT.deepDiff().
+     *
+     * @param {MUTSpy} spy
+     * @param {any[]} exp expected arguments
+     * @param {string=} msg
+     */
+    assertCalledWith: function (/** @type {MUTSpy} */ spy, /** @type {any[]} */ exp, /** @type {string} */ msg) {
+        MUT.checkSpy(spy, 'assertCalledWith');
+        var _status = false, i;
+        for (i = 0; !_status && i < spy.calls.length; i++) {
+            _status = MUT.deepDiff(spy.calls[i].args, exp) === null;
+        }
+        var act = spy.calls.length ? spy.calls[_status ? i - 1 : spy.calls.length - 1].args : 'no calls';
+        var _msg = sprintf('%s%s %s - %s: act=%s, exp=%s', (msg ? msg + ' -- ' : ''), 'assertCalledWith', (_status ? 'ok' : 'err'), spy.displayName, (spy.calls.length ? MUT.inspect(act) : act), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    /**
+     * Calls `fn` repeatedly and reports mean, min & max duration per call and calls per second through the reporter.
+     * The timer resolution is 1 ms at best, so a fast `fn` needs enough iterations for a meaningful mean;
+     * within a test the stats are added to the test's `benchmarks` in the results.
+     *
+     * @param {string} name
+     * @param {function(number): void} fn called with the MUT instance as `this` and the iteration index
+     * @param {number=} iterations default 100
+     * @returns {MUTBenchmark}
+     * @example
+     * ```javascript
+        mut.addTest('performance', function () {
+            mut.benchmark('parseName', function () { parseName('C:\\Movies\\Movie (2024).mkv'); }, 1000);
+        });
+     * ```
+     */
+    benchmark: function (/** @type {string} */ name, /** @type {function} */ fn, /** @type {number} */ iterations) {
+        iterations = iterations > 0 ? iterations : 100;
+        var min = Infinity, max = 0, total, started, runStarted = new Date().getTime(), elapsed, i;
+        for (i = 0; i < iterations; i++) {
+            started = new Date().getTime();
+            fn.call(this, i);
+            elapsed = new Date().getTime() - started;
+            if (elapsed < min) min = elapsed;
+            if (elapsed > max) max = elapsed;
+        }
+        total = new Date().getTime() - runStarted;
+        var stats = {
+            name: name,
+            iterations: iterations,
+            total: total,
+            mean: total / iterations,
+            min: min,
+            max: max,
+            // unknown if the total is below the timer resolution
+            opsPerSec: total > 0 ? iterations * 1000 / total : null
+        };
+        if (this.currentTest) this.currentTest.benchmarks.push(stats);
+        this.report('benchmark', this.currentTest, stats);
+        return stats;
+    },
+    /**
+     * Property-based testing: calls `property` with one value of each generator, for many generated inputs.
+     * The property fails if it returns false or throws, e.g. via a failing assertion; assertions within the property
+     * are not reported individually. A failing input is shrunk to a minimal counterexample, which is reported
+     * together with the seed to replay the run.
+     *
+     * @param {object[]} generators see `MUT.gen`
+     * @param {function(...any): (boolean|void)} property called with the MUT instance as `this`
+     * @param {{runs?: number, seed?: number, maxShrinks?: number, msg?: string}=} options
+     * * `runs`: number of generated inputs, default 100
+     * * `seed`: replays a reported run, random by default
+     * * `maxShrinks`: limit for the shrinking steps, default 1000
+     * * `msg`: assertion message
+     * @returns {{success: boolean, runs: number, seed: number, counterexample: any[]|null, shrinks: number}}
+     * @example
+     * ```javascript
+        mut.forAll([MUT.gen.path()], function (path) {
+            mut.assertEquals(joinPath(dirName(path), baseName(path)), path);
+        });
+     * ```
+     */
+    forAll: function (/** @type {object[]} */ generators, /** @type {function} */ property, /** @type {object} */ options) {
+        options = options || {};
+        var self = this, runs = options.runs > 0 ? options.runs : 100, maxShrinks = typeof options.maxShrinks === 'number' ? options.maxShrinks : 1000;
+        var seed = typeof options.seed === 'number' ? options.seed >>> 0 : Math.floor(Math.random() * 4294967296);
+        var random = MUT.createRandom(seed), args, error = null, run, shrinks = 0, i, j, candidates, next, nextError, shrunk;
+        /** @returns {string|null} why the property does not hold for `values` */
+        function check(values) {
+            self.propertyDepth++;
+            try {
+                return property.apply(self, values) === false ? 'property returned false' : null;
+            } catch (e) {
+                return e instanceof MUT.AssertionError ? e.message : MUT.describeError(e);
+            } finally {
+                self.propertyDepth--;
+            }
+        }
+        for (run = 1; run <= runs && error === null; run++) {
+            args = [];
+            for (i = 0; i < generators.length; i++) args.push(generators[i].generate(random));
+            error = check(args);
+        }
+        if (error === null) {
+            this.collectOrOutputOrAbort(sprintf('%s%s %s - %d runs, seed=%d', (options.msg ? options.msg + ' -- ' : ''), 'forAll', 'ok', runs, seed), true);
+            return { success: true, runs: runs, seed: seed, counterexample: null, shrinks: 0 };
+        }
+        run--;
+        // greedy shrinking: take the first simpler candidate which still fails, until none does
+        do {
+            shrunk = false;
+            for (i = 0; !shrunk && shrinks < maxShrinks && i < generators.length; i++) {
+                candidates = generators[i].shrink(args[i]);
+                for (j = 0; !shrunk && j < candidates.length; j++) {
+                    next = args.slice(0);
+                    next[i] = candidates[j];
+                    nextError = check(next);
+                    if (nextError !== null) {
+                        args = next;
+                        error = nextError;
+                        shrinks++;
+                        shrunk = true;
+                    }
+                }
+            }
+        } while (shrunk);
+        this.collectOrOutputOrAbort(sprintf('%s%s %s - falsified after %d run(s), counterexample=%s (%d shrink(s)), seed=%d: %s',
+            (options.msg ? options.msg + ' -- ' : ''), 'forAll', 'err', run, MUT.inspect(args), shrinks, seed, error), false);
+        return { success: false, runs: run, seed: seed, counterexample: args, shrinks: shrinks };
+    },
+    /**
+     * Compares the value, serialized deterministically via `MUT.inspect()` with sorted keys & no truncation,
+     * to the snapshot stored under `<suite> > <test> > <key>`. With `updateSnapshots`, mismatched or missing
+     * snapshots are written instead; the store is saved at the end of `run()`.
+     *
+     * @param {any} value
+     * @param {string} key unique within the test
+     * @param {string=} msg
+     */
+    assertMatchesSnapshot: function (/** @type {any} */ value, /** @type {string} */ key, /** @type {string} */ msg) {
+        if (!this.currentTest) {
+            throw new Error('assertMatchesSnapshot: can only be used within tests');
+        }
+        var fullKey = this.name + ' > ' + this.currentTest.fullName + ' > ' + key;
+        var act = MUT.inspect(value, { depth: Infinity, maxLength: Infinity, maxStringLength: Infinity, sortKeys: true });
+        var exp = this.snapshotStore.get(fullKey);
+        var _status = act === exp, _msg;
+        if (!_status && this.updateSnapshots) {
+            this.snapshotStore.set(fullKey, act);
+            _status = true;
+            _msg = sprintf('%s%s %s - %s: snapshot %s', (msg ? msg + ' -- ' : ''), 'assertMatchesSnapshot', 'ok', key, (exp === undefined ? 'written' : 'updated'));
+        } else if (exp === undefined) {
+            // act & exp are inspect() output already
+            _msg = sprintf('%s%s %s - %s: no snapshot stored, act=%s', (msg ? msg + ' -- ' : ''), 'assertMatchesSnapshot', 'err', key, act);
+        } else {
+            _msg = sprintf('%s%s %s - %s: act=%s, exp=%s', (msg ? msg + ' -- ' : ''), 'assertMatchesSnapshot', (_status ? 'ok' : 'err'), key, act, exp) + MUT.stringDiff(act, exp);
+        }
+        this.collectOrOutputOrAbort(_msg, _status);
+    },
+    /**
+     * @param {function|string[]} output function to run via `captureOutput()`, or already captured lines
+     * @param {string} exp substring any of the lines must contain
+     * @param {string=} msg
+     * @returns {string[]} the captured lines
+     */
+    assertOutputContains: function (/** @type {function|string[]} */ output, /** @type {string} */ exp, /** @type {string} */ msg) {
+        var lines = typeof output === 'function' ? this.captureOutput(output) : output, _status = false;
+        for (var i = 0; !_status && i < lines.length; i++) {
+            _status = lines[i].indexOf(exp) !== -1;
+        }
+        var _msg = sprintf('%s%s %s - act=%s, exp a line to contain %s', (msg ? msg + ' -- ' : ''), 'assertOutputContains', (_status ? 'ok' : 'err'), MUT.inspect(lines), MUT.inspect(exp));
+        this.collectOrOutputOrAbort(_msg, _status);
+        return lines;
+    },
+    /**
+     * @param {function|string[]} output function to run via `captureOutput()`, or already captured lines
+     * @param {RegExp} regex any of the lines must match
+     * @param {string=} msg
+     * @returns {string[]} the captured lines
+     */
+    assertOutputMatches: function (/** @type {function|string[]} */ output, /** @type {RegExp} */ regex, /** @type {string} */ msg) {
+        var lines = typeof output === 'function' ? this.captureOutput(output) : output, _status = false;
+        for (var i = 0; !_status && i < lines.length; i++) {
+            regex.lastIndex = 0;
+            _status = regex.test(lines[i]);
+        }
+        var _msg = sprintf('%s%s %s - act=%s, exp a line to match %s', (msg ? msg + ' -- ' : ''), 'assertOutputMatches', (_status ? 'ok' : 'err'), MUT.inspect(lines), MUT.inspect(regex));
+        this.collectOrOutputOrAbort(_msg, _status);
+        return lines;
+    },
+
+    /**
+     * Runs all selected tests and returns the results, which are also available via `getResults()` afterwards.
+     *
+     * Tests which are not selected by the filter or by `only` are reported as `filtered`,
+     * tests added with `skip` as `skipped`; neither of them is set up or torn down.
+     *
+     * @param {string|RegExp|{name?: string|RegExp, tags?: string[], excludeTags?: string[]}=} filter
+     * * `name`: substring of or RegExp for the full test names, e.g. `group > subgroup > test`; a string or RegExp can be passed directly as filter, too
+     * * `tags`: only tests with at least one of these tags
+     * * `excludeTags`: no tests with any of these tags
+     * @returns {MUTResults}
+     */
+    run: function(filter) {
+        var test, i, selected, hasOnly = false, results = MUT.newResults(this.name);
+        var suiteStarted = new Date().getTime();
+        var activeGroups = [];
+        for (i = 0; i < this.tests.length; i++) {
+            if (this.tests[i].only) hasOnly = true;
+        }
+        this.report('suiteStart');
+        for (i = 0; i < this.tests.length; i++) {
+            test = this.tests[i];
+            this.switchGroups(activeGroups, test.group, results);
+            selected = MUT.matchesFilter(test, filter) && (!hasOnly || test.only);
+            if (!selected || test.skip) {
+                this.currentTest = MUT.newTestResult(test, selected ? 'skipped' : 'filtered');
+                MUT.addTestResult(results, this.currentTest);
+                this.report('testEnd', this.currentTest);
+                this.currentTest = null;
+                continue;
+            }
+            this.currentTest = MUT.newTestResult(test, 'passed');
+            this.report('testStart', this.currentTest);
+            try {
+                this.runTest(test, activeGroups);
+            } finally {
+                this.restoreAll();
+            }
+            MUT.addTestResult(results, this.currentTest);
+            this.report('testEnd', this.currentTest);
+            this.currentTest = null;
+        }
+        this.switchGroups(activeGroups, null, results);
+        this.snapshotStore.save();
+        results.duration = new Date().getTime() - suiteStarted;
+        this.results = results;
+        MUT.runCount++;
+        this.report('suiteEnd', results);
+        if (!results.success) this.host.setFailed();
+        return results;
+    },
+    /**
+     * Runs a single test with its hooks and records the outcome in `this.currentTest`.
+     *
+     * A throwing hook makes the test errored instead of crashing the suite: if `beforeAll` or a setup hook fails,
+     * the test is not run, and only the teardown hooks of the levels which were set up successfully are run.
+     * Each test gets a fresh context object, which is passed to the setup & teardown hooks and to the test.
+     *
+     * @param {object} test as added via `addTest()`
+     * @param {MUTGroup[]} activeGroups outermost first
+     */
+    runTest: function (test, activeGroups) {
+        var result = this.currentTest, ctx = {}, levels = [], done = 0, group, started, i;
+        for (i = 0; i < activeGroups.length; i++) {
+            group = activeGroups[i];
+            if (group.error === null && !group.started) {
+                // set first, so that the afterAll hooks run even if a later beforeAll hook throws
+                group.started = true;
+                try {
+                    this.runGroupHooks(group, group.beforeAll, false);
+                } catch (e) {
+                    group.error = 'beforeAll failed: ' + MUT.describeError(e);
+                }
+            }
+            if (group.error !== null) {
+                result.status = 'errored';
+                result.error = group.error;
+                return;
+            }
+        }
+        // setup & teardown levels: the suite's own callbacks, then each group's beforeEach/afterEach hooks
+        levels.push({ before: this.setup ? [this.setup] : [], after: this.teardown ? [this.teardown] : [] });
+        for (i = 0; i < activeGroups.length; i++) {
+            levels.push({ before: activeGroups[i].beforeEach, after: activeGroups[i].afterEach });
+        }
+        try {
+            for (done = 0; done < levels.length; done++) {
+                this.runHooks(levels[done].before, ctx);
+            }
+        } catch (e) {
+            result.status = 'errored';
+            result.error = 'setup failed: ' + MUT.describeError(e);
+        }
+        if (done === levels.length) {
+            started = new Date().getTime();
+            try {
+                test.tester.call(this, ctx);
+                if (result.failures) {
+                    result.status = 'failed';
+                    result.error = result.failures + ' assertion(s) failed';
+                }
+            } catch (e) {
+                if (e instanceof MUT.AssertionError) {
+                    result.status = 'failed';
+                    result.error = e.message;
+                } else {
+                    result.status = 'errored';
+                    result.error = MUT.describeError(e);
+                }
+            }
+            result.duration = new Date().getTime() - started;
+            result.slow = this.slowThreshold > 0 && result.duration >= this.slowThreshold;
+            if (test.maxDuration && result.duration > test.maxDuration && result.status === 'passed') {
+                result.status = 'failed';
+                result.error = sprintf('took %d ms, over the maxDuration of %d ms', result.duration, test.maxDuration);
+            }
+        }
+        for (i = done - 1; i >= 0; i--) {
+            try {
+                this.runHooks(levels[i].after, ctx);
+            } catch (e) {
+                result.error = (result.status === 'passed' ? '' : result.error + '; ') + 'teardown failed: ' + MUT.describeError(e);
+                result.status = 'errored';
+            }
+        }
+    },
+    /**
+     * Leaves the active groups which do not contain `target`, running their `afterAll` hooks if they have been started,
+     * then enters the groups down to `target`; `beforeAll` hooks are run lazily by `runTest()`.
+     * `afterAll` hooks run with a result of their own, which is recorded as a test named `afterAll` in its group
+     * if a hook throws or any assertion in them fails.
+     *
+     * @param {MUTGroup[]} activeGroups outermost first, modified in place
+     * @param {MUTGroup|null} target null to leave all groups
+     * @param {MUTResults} results
+     */
+    switchGroups: function (activeGroups, target, results) {
+        var chain = [], group, common = 0, i, hookResult;
+        for (group = target; group; group = group.parent) chain.unshift(group);
+        while (common < activeGroups.length && common < chain.length && activeGroups[common] === chain[common]) common++;
+        while (activeGroups.length > common) {
+            group = activeGroups.pop();
+            if (group.started) {
+                group.started = false;
+                hookResult = MUT.newTestResult({ name: 'afterAll', fullName: group.path.concat(['afterAll']).join(' > '), group: group, tags: [] }, 'passed');
+                this.currentTest = hookResult;
+                try {
+                    this.runGroupHooks(group, group.afterAll, true);
+                    if (hookResult.failures) {
+                        hookResult.status = 'failed';
+                        hookResult.error = 'afterAll failed: ' + hookResult.failures + ' assertion(s) failed';
+                    }
+                } catch (e) {
+                    hookResult.status = e instanceof MUT.AssertionError ? 'failed' : 'errored';
+                    hookResult.error = 'afterAll failed: ' + (e instanceof MUT.AssertionError ? e.message : MUT.describeError(e));
+                }
+                this.currentTest = null;
+                if (hookResult.status !== 'passed') {
+                    MUT.addTestResult(results, hookResult);
+                    this.report('testEnd', hookResult);
+                }
+            }
+            group.error = null;
+            if (group.parent) this.report('groupEnd', group);
+        }
+        for (i = common; i < chain.length; i++) {
+            activeGroups.push(chain[i]);
+            if (chain[i].parent) this.report('groupStart', chain[i]);
+        }
+    },
+    /**
+     * Runs `beforeAll` or `afterAll` hooks with the spies & stubs created in them recorded against `group`.
+     *
+     * @param {MUTGroup} group
+     * @param {function[]} hooks
+     * @param {boolean} restore whether to restore the group's spies & stubs afterwards, even if a hook throws
+     */
+    runGroupHooks: function (group, hooks, restore) {
+        var testDoubles = this.doubles;
+        this.doubles = group.doubles;
+        try {
+            this.runHooks(hooks);
+        } finally {
+            if (restore) this.restoreAll();
+            this.doubles = testDoubles;
+        }
+    },
+    /**
+     * @param {function[]} hooks called in order, with the MUT instance as `this`
+     * @param {object=} ctx test context, passed to the hooks
+     */
+    runHooks: function (hooks, ctx) {
+        for (var i = 0; i < hooks.length; i++) {
+            hooks[i].call(this, ctx);
+        }
+    },
+    /**
+     * @returns {MUTResults|null} results of the last `run()`, null if the suite has not been run yet
+     */
+    getResults: function () {
+        return this.results;
+    }
+};
+
+/**
+ * Chainable matchers returned by `mut.expect()`; each matcher returns the expectation itself.
+ * `.not` is a negated expectation for the same value, created upfront since JScript supports no getters.
+ *
+ * @constructor
+ * @param {MUT} mut
+ * @param {any} actual
+ * @param {boolean} negated
+ */
+MUT.Expectation = function (mut, actual, negated) {
+    this.mut = mut;
+    this.actual = actual;
+    this.negated = negated;
+    if (!negated) {
+        this.not = new MUT.Expectation(mut, actual, true);
+    }
+};
+MUT.Expectation.prototype = {
+    /** strict equality via `===` */
+    toBe: function (/** @type {any} */ exp, /** @type {string} */ msg) {
+        if (this.negated) this.mut.assertNotEquals(this.actual, exp, msg); else this.mut.assertEquals(this.actual, exp, msg);
+        return this;
+    },
+    /** deep equality, see `assertDeepEquals()` */
+    toEqual: function (/** @type {any} */ exp, /** @type {string} */ msg) {
+        if (this.negated) this.mut.assertNotDeepEquals(this.actual, exp, msg); else this.mut.assertDeepEquals(this.actual, exp, msg);
+        return this;
+    },
+    toBeTypeOf: function (/** @type {string} */ exp, /** @type {string} */ msg) {
+        if (this.negated) this.mut.assertTypeofNotEquals(this.actual, exp, msg); else this.mut.assertTypeofEquals(this.actual, exp, msg);
+        return this;
+    },
+    /**
+     * The actual value must be a function; `matcher` as for `assertThrows()`.
+     * `.not.toThrow(msg)` takes the message as its only parameter, it fails if anything is thrown.
+     */
+    toThrow: function (/** @type {any} */ matcher, /** @type {string} */ msg) {
+        if (this.negated) this.mut.assertDoesNotThrow(this.actual, matcher); else this.mut.assertThrows(this.actual, matcher, msg);
+        return this;
+    },
+    toMatch: function (/** @type {RegExp} */ exp, /** @type {string} */ msg) {
+        if (this.negated) this.mut.assertNotMatch(this.actual, exp, msg); else this.mut.assertMatch(this.actual, exp, msg);
+        return this;
+    },
+    /** substring, array element or object key, see `assertContains()` */
+    toContain: function (/** @type {any} */ exp, /** @type {string} */ msg) {
+        if (this.negated) this.mut.assertNotContains(this.actual, exp, msg); else this.mut.assertContains(this.actual, exp, msg);
+        return this;
+    }
+};
+
+/**
+ * Default snapshot store for `assertMatchesSnapshot()`, which keeps the snapshots in memory only.
+ *
+ * A snapshot store is an object with the methods `get(key)` (returns undefined if missing), `set(key, value)` and `save()`.
+ *
+ * @constructor
+ * @param {object=} data initial snapshots, keyed by `<suite> > <test> > <key>`
+ */
+MUT.MemorySnapshotStore = function (data) {
+    this.data = data || {};
+};
+MUT.MemorySnapshotStore.prototype = {
+    get: function (/** @type {string} */ key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : undefined;
+    },
+    set: function (/** @type {string} */ key, /** @type {string} */ value) {
+        this.data[key] = value;
+    },
+    save: function () {}
+};
+
+/**
+ * Snapshot store backed by a JSON file, read when created and written by `save()` if anything changed.
+ * The keys are sorted, so that the file can be kept under version control.
+ *
+ * @constructor
+ * @param {string} path
+ * @param {object=} host host adapter for the file access, detected if omitted
+ */
+MUT.JSONFileSnapshotStore = function (path, host) {
+    this.path = path;
+    this.host = host || MUT.detectHost();
+    var text = this.host.readFile(path);
+    this.data = text ? JSON.parse(text) : {};
+    this.dirty = false;
+};
+MUT.JSONFileSnapshotStore.prototype = {
+    get: MUT.MemorySnapshotStore.prototype.get,
+    set: function (/** @type {string} */ key, /** @type {string} */ value) {
+        this.data[key] = value;
+        this.dirty = true;
+    },
+    save: function () {
+        if (!this.dirty) return;
+        var keys = [], sorted = {}, k, i;
+        for (k in this.data) {
+            if (Object.prototype.hasOwnProperty.call(this.data, k)) keys.push(k);
+        }
+        keys.sort();
+        for (i = 0; i < keys.length; i++) sorted[keys[i]] = this.data[keys[i]];
+        this.host.writeFile(this.path, JSON.stringify(sorted, null, 2) + '\n');
+        this.dirty = false;
+    }
+};
+
+/**
+ * Thrown by failing assertions (with `abortOnErrors`) and `fail()`.
+ * A test which throws anything else is reported as errored instead of failed.
+ *
+ * @constructor
+ * @param {string} message
+ */
+MUT.AssertionError = function (message) {
+    this.message = message;
+};
+MUT.AssertionError.prototype = new Error();
+MUT.AssertionError.prototype.constructor = MUT.AssertionError;
+MUT.AssertionError.prototype.name = 'AssertionError';
+
+/**
+ * @typedef {{name: string, parent: MUTGroup|null, path: string[], beforeAll: function[], afterAll: function[], beforeEach: function[], afterEach: function[], started: boolean, error: string|null, doubles: MUTSpy[]}} MUTGroup
+ *
+ * `started`, `error` & `doubles` are run state: whether the `beforeAll` hooks have been run, why they failed,
+ * and the spies & stubs created in them
+ */
+
+/**
+ * @param {string} name
+ * @param {MUTGroup|null} parent null for the root group of a suite
+ * @returns {MUTGroup}
+ */
+MUT.newGroup = function (name, parent) {
+    return {
+        name: name,
+        parent: parent,
+        path: parent ? parent.path.concat([name]) : [],
+        beforeAll: [],
+        afterAll: [],
+        beforeEach: [],
+        afterEach: [],
+        started: false,
+        error: null,
+        doubles: []
+    };
+};
+
+/**
+ * @typedef {{status: boolean, msg: string}} MUTAssertionRecord
+ * @typedef {{name: string, fullName: string, group: string[], tags: string[], status: string, duration: number, slow: boolean, assertions: MUTAssertionRecord[], failures: number, error: string|null, benchmarks: MUTBenchmark[]}} MUTTestResult
+ * @typedef {{name: string, iterations: number, total: number, mean: number, min: number, max: number, opsPerSec: number|null}} MUTBenchmark
+ * @typedef {{tests: number, passed: number, failed: number, errored: number, skipped: number, filtered: number, slow: number, assertions: number, assertionsPassed: number, assertionsFailed: number}} MUTTotals
+ * @typedef {{name: string, success: boolean, totals: MUTTotals, duration: number, tests: MUTTestResult[]}} MUTResults
+ *
+ * test `status` is one of `passed`, `failed` (an assertion failed or `fail()` was called), `errored` (anything else was thrown),
+ * `skipped` (added with `skip`) or `filtered` (not selected by the `run()` filter or `only`); durations are in milliseconds,
+ * `slow` is set for tests which reached the `slowThreshold`
+ */
+
+/**
+ * @param {{name: string, fullName: string, group: MUTGroup, tags: string[]}} test as added via `addTest()`
+ * @param {string} status initial status
+ * @returns {MUTTestResult}
+ */
+MUT.newTestResult = function (test, status) {
+    return { name: test.name, fullName: test.fullName, group: test.group.path, tags: test.tags, status: status, duration: 0, slow: false, assertions: [], failures: 0, error: null, benchmarks: [] };
+};
+
+/**
+ * @param {{fullName: string, tags: string[]}} test as added via `addTest()`
+ * @param {string|RegExp|{name?: string|RegExp, tags?: string[], excludeTags?: string[]}=} filter see `run()`
+ * @returns {boolean}
+ */
+MUT.matchesFilter = function (test, filter) {
+    var i, j, found;
+    if (filter === undefined || filter === null) return true;
+    if (typeof filter === 'string' || Object.prototype.toString.call(filter) === '[object RegExp]') {
+        filter = { name: filter };
+    }
+    if (typeof filter.name === 'string' && test.fullName.indexOf(filter.name) === -1) return false;
+    // search() ignores lastIndex, which test() would carry over between calls for global RegExps
+    if (filter.name && typeof filter.name === 'object' && test.fullName.search(filter.name) === -1) return false;
+    if (filter.tags && filter.tags.length) {
+        for (i = 0, found = false; !found && i < filter.tags.length; i++) {
+            for (j = 0; !found && j < test.tags.length; j++) found = test.tags[j] === filter.tags[i];
+        }
+        if (!found) return false;
+    }
+    for (i = 0; filter.excludeTags && i < filter.excludeTags.length; i++) {
+        for (j = 0; j < test.tags.length; j++) {
+            if (test.tags[j] === filter.excludeTags[i]) return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * @param {string} name suite name
+ * @returns {MUTResults}
+ */
+MUT.newResults = function (name) {
+    return {
+        name: name,
+        success: true,
+        totals: { tests: 0, passed: 0, failed: 0, errored: 0, skipped: 0, filtered: 0, slow: 0, assertions: 0, assertionsPassed: 0, assertionsFailed: 0 },
+        duration: 0,
+        tests: []
+    };
+};
+
+/**
+ * @param {MUTResults} results
+ * @param {MUTTestResult} test
+ */
+MUT.addTestResult = function (results, test) {
+    var totals = results.totals;
+    results.tests.push(test);
+    totals.tests++;
+    totals[test.status]++;
+    if (test.slow) totals.slow++;
+    for (var i = 0; i < test.assertions.length; i++) {
+        totals.assertions++;
+        if (test.assertions[i].status === false) totals.assertionsFailed++; else totals.assertionsPassed++;
+    }
+    if (test.status === 'failed' || test.status === 'errored') results.success = false;
+};
+
+/**
+ * Suites created with the `register` option, in creation order, see `MUT.runAll()`.
+ *
+ * @type {MUT[]}
+ */
+MUT.registry = [];
+
+/**
+ * Number of suite runs so far, e.g. for a runner to check whether the loaded scripts ran any suite.
+ *
+ * @type {number}
+ */
+MUT.runCount = 0;
+
+/**
+ * @typedef {{success: boolean, totals: MUTTotals, duration: number, suites: MUTResults[]}} MUTAggregateResults
+ */
+
+/**
+ * Runs all registered suites, or those whose name matches `options.suites`, as one run: all suites report via
+ * the same reporter instead of their own, whose `runAllStart` & `runAllEnd` hooks wrap them, so that
+ * the machine-readable reporters write a single document, and the console reporters one summary
+ * with the totals of each suite and overall.
+ *
+ * @param {{suites?: string|RegExp, filter?: any, host?: string|object, reporter?: string|object, cbOut?: function(string, boolean=): void}=} options
+ * * `suites`: substring or RegExp the suite names must match
+ * * `filter`: test filter passed to each suite's `run()`
+ * * `host`: where the output of `runAllStart` & `runAllEnd` goes to, see `MUT.hosts`; detected if omitted;
+ *   the suites still write via their own host or `cbOut`
+ * * `reporter`: reporter for all suites, see `MUT.reporters`; the host's default reporter if omitted
+ * * `cbOut`: callback for the output of `runAllStart` & `runAllEnd` instead of the host, receives the same parameters as the MUT `cbOut`
+ * @returns {MUTAggregateResults} `success` is false if any test of any suite failed or errored
+ * @example
+ * ```javascript
+    if (!MUT.runAll({ suites: /^Parser/ }).success) {
+        DOpus.output('self-tests failed, script disabled');
+    }
+ * ```
+ */
+MUT.runAll = function (options) {
+    options = options || {};
+    var pattern = options.suites, host = MUT.createHost(options.host), started = new Date().getTime();
+    var reporter = MUT.createReporter(options.reporter || host.reporter, null);
+    var aggregate = { success: true, totals: MUT.newResults('').totals, duration: 0, suites: [] };
+    var i, k, suite, suiteReporter, results;
+    function out(msg, status) {
+        if (typeof options.cbOut === 'function') {
+            options.cbOut(msg, status);
+        } else {
+            host.output(reporter.formatLine ? reporter.formatLine(msg, status) : (msg || ''));
+        }
+    }
+    if (typeof reporter.runAllStart === 'function') reporter.runAllStart(out);
+    for (i = 0; i < MUT.registry.length; i++) {
+        suite = MUT.registry[i];
+        if (typeof pattern === 'string' && suite.name.indexOf(pattern) === -1) continue;
+        if (pattern && typeof pattern === 'object' && suite.name.search(pattern) === -1) continue;
+        suiteReporter = suite.reporter;
+        suite.reporter = reporter;
+        try {
+            results = suite.run(options.filter);
+        } finally {
+            suite.reporter = suiteReporter;
+        }
+        aggregate.suites.push(results);
+        for (k in results.totals) {
+            if (results.totals.hasOwnProperty(k)) aggregate.totals[k] += results.totals[k];
+        }
+        if (!results.success) aggregate.success = false;
+    }
+    aggregate.duration = new Date().getTime() - started;
+    if (typeof reporter.runAllEnd === 'function') reporter.runAllEnd(out, aggregate);
+    return aggregate;
+};
+
+/**
+ * @param {MUTAggregateResults} aggregate as returned by `MUT.runAll()`
+ * @returns {{msg: string, status: boolean}[]} the summary lines of `MUT.runAll()`, status false for failed suites
+ */
+MUT.formatSummary = function (aggregate) {
+    var lines = [], i, results;
+    function describe(totals) {
+        return sprintf('%d tests: %d passed, %d failed, %d errored, %d skipped, %d filtered', totals.tests,
+            totals.passed, totals.failed, totals.errored, totals.skipped, totals.filtered);
+    }
+    lines.push({ msg: sprintf('Summary: %d suite(s) in %d ms', aggregate.suites.length, aggregate.duration), status: undefined });
+    for (i = 0; i < aggregate.suites.length; i++) {
+        results = aggregate.suites[i];
+        lines.push({ msg: sprintf('  %-7s %-24s %s (%d ms)', (results.success ? 'PASSED' : 'FAILED'), results.name, describe(results.totals), results.duration), status: results.success });
+    }
+    lines.push({ msg: sprintf('Total: %s, %s, %d assertions', (aggregate.success ? 'PASSED' : 'FAILED'), describe(aggregate.totals), aggregate.totals.assertions), status: aggregate.success });
+    return lines;
+};
+
+/**
+ * Recursively compares two values and returns the first difference found, or null if they are deeply equal.
+ *
+ * Arrays and objects are compared by their own enumerable keys, objects also by their constructor, i.e. `new Foo()`
+ * never equals a plain object; Dates, Numbers, Strings & Booleans (boxed primitives) by their value,
+ * RegExps by their source & flags, Errors also by their name & message, and NaN is considered equal to NaN. Cyclic structures are supported.
+ *
+ * @param {any} act
+ * @param {any} exp
+ * @returns {{path: string, act: any, exp: any}|null} `path` is e.g. `columns[3].width`, empty string for the root
+ */
+MUT.deepDiff = function (act, exp) {
+    var toStr = Object.prototype.toString, hasOwn = Object.prototype.hasOwnProperty;
+    var actStack = [], expStack = [];
+
+    function keyPath(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? (path ? path + '.' : '') + key : path + '[\'' + key + '\']';
+    }
+    function compare(a, e, path) {
+        if (a === e) return null;
+        if (typeof a === 'number' && typeof e === 'number' && a !== a && e !== e) return null; // NaN
+        if (typeof a !== 'object' || typeof e !== 'object' || a === null || e === null) {
+            return { path: path, act: a, exp: e };
+        }
+        var cls = toStr.call(a);
+        if (cls !== toStr.call(e)) return { path: path, act: a, exp: e };
+        if (cls === '[object Date]' || cls === '[object Number]' || cls === '[object String]' || cls === '[object Boolean]') {
+            var av = a.valueOf(), ev = e.valueOf();
+            return av === ev || (av !== av && ev !== ev) ? null : { path: path, act: a, exp: e };
+        }
+        if (cls === '[object RegExp]') {
+            return String(a) === String(e) ? null : { path: path, act: a, exp: e };
+        }
+        // cycle detection: both sides must loop back to the same level
+        for (var i = actStack.length - 1; i >= 0; i--) {
+            if (actStack[i] === a) return expStack[i] === e ? null : { path: path, act: a, exp: e };
+        }
+        actStack.push(a);
+        expStack.push(e);
+        var diff = null, k;
+        if (a.constructor !== e.constructor) {
+            diff = { path: keyPath(path, 'constructor'), act: a.constructor, exp: e.constructor };
+        } else if (cls === '[object Array]') {
+            for (k = 0; !diff && k < a.length && k < e.length; k++) {
+                diff = compare(a[k], e[k], path + '[' + k + ']');
+            }
+            if (!diff && a.length !== e.length) diff = { path: keyPath(path, 'length'), act: a.length, exp: e.length };
+        } else {
+            // name & message are not enumerable
+            if (cls === '[object Error]' || a instanceof Error) {
+                diff = compare(a.name, e.name, keyPath(path, 'name')) || compare(a.message, e.message, keyPath(path, 'message'));
+            }
+            for (k in e) {
+                if (diff) break;
+                if (!hasOwn.call(e, k)) continue;
+                diff = hasOwn.call(a, k) ? compare(a[k], e[k], keyPath(path, k)) : { path: keyPath(path, k), act: undefined, exp: e[k] };
+            }
+            if (!diff) {
+                for (k in a) {
+                    if (hasOwn.call(a, k) && !hasOwn.call(e, k)) {
+                        diff = { path: keyPath(path, k), act: a[k], exp: undefined };
+                        break;
+                    }
+                }
+            }
+        }
+        actStack.pop();
+        expStack.pop();
+        return diff;
+    }
+    return compare(act, exp, '');
+};
+
+/**
+ * @typedef {{args: any[], thisValue: any, returnValue: any, error: any}} MUTSpyCall
+ * @typedef {function & {calls: MUTSpyCall[], callCount: number, called: boolean, displayName: string, reset: function, restore: function}} MUTSpy
+ */
+
+/**
+ * Creates a spy function which calls `impl` and records each call; see `spy()` & `stub()`.
+ * If `obj` is given, `obj[method]` is replaced by the spy until `restore()` is called.
+ *
+ * @param {object|null} obj
+ * @param {string} method
+ * @param {function} impl
+ * @returns {MUTSpy}
+ */
+MUT.createSpy = function (obj, method, impl) {
+    var hadOwn = obj !== null && Object.prototype.hasOwnProperty.call(obj, method);
+    var original = obj !== null ? obj[method] : undefined;
+    var spy = function () {
+        var call = { args: Array.prototype.slice.call(arguments, 0), thisValue: this, returnValue: undefined, error: undefined };
+        spy.calls.push(call);
+        spy.callCount++;
+        spy.called = true;
+        try {
+            call.returnValue = impl.apply(this, arguments);
+        } catch (e) {
+            call.error = e;
+            throw e;
+        }
+        return call.returnValue;
+    };
+    spy.displayName = method;
+    spy.reset = function () {
+        spy.calls = [];
+        spy.callCount = 0;
+        spy.called = false;
+    };
+    spy.restore = function () {
+        if (obj === null || obj[method] !== spy) return;
+        if (hadOwn) {
+            obj[method] = original;
+        } else {
+            delete obj[method];
+        }
+    };
+    spy.reset();
+    if (obj !== null) obj[method] = spy;
+    return spy;
+};
+
+/**
+ * @param {any} spy
+ * @param {string} assertion name of the calling assertion
+ */
+MUT.checkSpy = function (spy, assertion) {
+    if (typeof spy !== 'function' || !spy.calls) {
+        throw new Error(assertion + ': not a spy or stub');
+    }
+};
+
+/**
+ * @param {string|any[]|object} container
+ * @param {any} item substring, array element (compared via `===`) or own key
+ * @returns {boolean}
+ */
+MUT.contains = function (container, item) {
+    if (typeof container === 'string') return typeof item === 'string' && container.indexOf(item) !== -1;
+    if (Object.prototype.toString.call(container) === '[object Array]') {
+        for (var i = 0; i < container.length; i++) {
+            if (container[i] === item) return true;
+        }
+        return false;
+    }
+    if (typeof container === 'object' && container !== null) return Object.prototype.hasOwnProperty.call(container, item);
+    return false;
+};
+
+/**
+ * Serializes any value into a readable, single-line string for assertion messages:
+ * strings are quoted, and arrays, objects, Dates, RegExps, functions, NaN, undefined & null are shown distinctly.
+ * Cyclic references are shown as `[Circular]`.
+ *
+ * @param {any} value
+ * @param {{depth?: number, maxLength?: number, maxStringLength?: number, sortKeys?: boolean}=} options
+ * * `depth`: nesting depth to show, deeper arrays & objects are shown as e.g. `[Array(2)]` & `[Object]`, default 3
+ * * `maxLength`: max. number of array items & object keys to show, default 20
+ * * `maxStringLength`: max. number of characters to show per string, default 100
+ * * `sortKeys`: show object keys sorted, for deterministic output
+ * @returns {string}
+ * @example
+ * ```javascript
+    MUT.inspect({ a: [1, '1', undefined], b: new Date(0) }); // -> {a: [1, '1', undefined], b: Date(1970-01-01T00:00:00.000Z)}
+ * ```
+ */
+MUT.inspect = function (value, options) {
+    options = options || {};
+    var maxDepth = typeof options.depth === 'number' ? options.depth : 3;
+    var maxLength = typeof options.maxLength === 'number' ? options.maxLength : 20;
+    var maxStringLength = typeof options.maxStringLength === 'number' ? options.maxStringLength : 100;
+    var toStr = Object.prototype.toString;
+    var seen = [];
+
+    function pad(num, len) {
+        num = String(num);
+        while (num.length < len) num = '0' + num;
+        return num;
+    }
+    function quote(str) {
+        var out = str.length > maxStringLength ? str.slice(0, maxStringLength) : str;
+        out = '\'' + out.replace(/[\\'\x00-\x1f\x7f]/g, function (c) {
+            switch (c) {
+            case '\\': return '\\\\';
+            case '\'': return '\\\'';
+            case '\n': return '\\n';
+            case '\r': return '\\r';
+            case '\t': return '\\t';
+            default: return '\\x' + pad(c.charCodeAt(0).toString(16), 2);
+            }
+        }) + '\'';
+        return str.length > maxStringLength ? out + '... (' + str.length + ' chars)' : out;
+    }
+    function key(k) {
+        return /^[A-Za-z_$][\w$]*$/.test(k) ? k : quote(k);
+    }
+    function format(v, depth) {
+        var cls, i, k, keys, parts, t;
+        if (v === undefined) return 'undefined';
+        if (v === null) return 'null';
+        switch (typeof v) {
+        case 'string': return quote(v);
+        case 'number': return v === 0 && 1 / v < 0 ? '-0' : String(v);
+        case 'boolean': return String(v);
+        case 'function': return '[Function ' + (MUT.functionName(v) || '(anonymous)') + ']';
+        case 'object': break;
+        default: return '[' + typeof v + ']'; // e.g. 'unknown' for some COM members in JScript
+        }
+        cls = toStr.call(v);
+        if (cls === '[object Date]') {
+            t = v.getTime();
+            return t !== t ? 'Date(Invalid)' : 'Date(' + v.getUTCFullYear() + '-' + pad(v.getUTCMonth() + 1, 2) + '-' + pad(v.getUTCDate(), 2) +
+                'T' + pad(v.getUTCHours(), 2) + ':' + pad(v.getUTCMinutes(), 2) + ':' + pad(v.getUTCSeconds(), 2) + '.' + pad(v.getUTCMilliseconds(), 3) + 'Z)';
+        }
+        if (cls === '[object RegExp]') return String(v);
+        if (cls === '[object Error]' || v instanceof Error) return '[' + MUT.describeError(v) + ']';
+        for (i = 0; i < seen.length; i++) {
+            if (seen[i] === v) return '[Circular]';
+        }
+        if (cls === '[object Array]') {
+            if (depth > maxDepth) return '[Array(' + v.length + ')]';
+            seen.push(v);
+            parts = [];
+            for (i = 0; i < v.length && i < maxLength; i++) parts.push(format(v[i], depth + 1));
+            if (v.length > maxLength) parts.push('... ' + (v.length - maxLength) + ' more items');
+            seen.pop();
+            return '[' + parts.join(', ') + ']';
+        }
+        if (depth > maxDepth) return '[Object]';
+        keys = [];
+        try {
+            for (k in v) {
+                if (Object.prototype.hasOwnProperty.call(v, k)) keys.push(k);
+            }
+        } catch (e) {
+            return '[object]'; // host objects which cannot be enumerated
+        }
+        if (options.sortKeys) keys.sort();
+        seen.push(v);
+        parts = [];
+        for (i = 0; i < keys.length && i < maxLength; i++) parts.push(key(keys[i]) + ': ' + format(v[keys[i]], depth + 1));
+        if (keys.length > maxLength) parts.push('... ' + (keys.length - maxLength) + ' more keys');
+        seen.pop();
+        return parts.length ? '{' + parts.join(', ') + '}' : '{}';
+    }
+    return format(value, 1);
+};
+
+/**
+ * For two different strings, either of which is longer than `MUT.stringDiff.minLength`,
+ * returns a message suffix showing the characters around the first mismatch, otherwise an empty string.
+ *
+ * @param {any} act
+ * @param {any} exp
+ * @returns {string} e.g. ` -- first difference at index 57: ...'lo wor'... vs ...'lo Wor'...`
+ */
+MUT.stringDiff = function (act, exp) {
+    if (typeof act !== 'string' || typeof exp !== 'string' || act === exp || Math.max(act.length, exp.length) <= MUT.stringDiff.minLength) {
+        return '';
+    }
+    var i = 0, context = MUT.stringDiff.context;
+    while (i < act.length && i < exp.length && act.charAt(i) === exp.charAt(i)) i++;
+    var from = Math.max(0, i - context);
+    function excerpt(str) {
+        return (from > 0 ? '...' : '') + MUT.inspect(str.slice(from, i + context), { maxStringLength: Infinity }) + (i + context < str.length ? '...' : '');
+    }
+    return sprintf(' -- first difference at index %d: %s vs %s', i, excerpt(act), excerpt(exp));
+};
+MUT.stringDiff.minLength = 40;
+MUT.stringDiff.context = 15;
+
+/**
+ * Returns the name of a function, e.g. of an Error constructor; JScript does not support `Function.name`.
+ *
+ * @param {function} fn
+ * @returns {string}
+ */
+MUT.functionName = function (fn) {
+    var m = /^\s*function\s*([\w$]*)/.exec(String(fn));
+    return m && m[1] || fn.name || '';
+};
+
+/**
+ * Checks a thrown value against an assertThrows() matcher.
+ *
+ * @param {any} err thrown value
+ * @param {string|RegExp|function=} matcher exact message, RegExp, Error constructor or predicate; undefined matches anything
+ * @returns {boolean}
+ */
+MUT.matchError = function (err, matcher) {
+    var message = err && typeof err === 'object' && 'message' in err ? err.message : String(err);
+    if (matcher === undefined || matcher === null) return true;
+    if (typeof matcher === 'string') return message === matcher;
+    // search() ignores lastIndex, which test() would carry over between calls for global RegExps
+    if (Object.prototype.toString.call(matcher) === '[object RegExp]') return String(message).search(matcher) !== -1;
+    if (typeof matcher === 'function') {
+        if (matcher === Error || matcher.prototype instanceof Error) return err instanceof matcher;
+        return !!matcher(err);
+    }
+    throw new Error('matcher must be a string, RegExp, Error constructor or function');
+};
+
+/**
+ * @param {any} err thrown value
+ * @returns {string} e.g. `TypeError: 'x' is undefined`
+ */
+MUT.describeError = function (err) {
+    if (err && typeof err === 'object' && 'message' in err) {
+        return (err.name || 'Error') + ': ' + err.message;
+    }
+    return MUT.inspect(err);
+};
+
+/**
+ * @param {string|RegExp|function=} matcher
+ * @returns {string}
+ */
+MUT.describeMatcher = function (matcher) {
+    if (matcher === undefined || matcher === null) return 'any';
+    if (typeof matcher === 'string') return MUT.inspect(matcher);
+    if (typeof matcher === 'function') {
+        return (matcher === Error || matcher.prototype instanceof Error ? '' : 'predicate ') + (MUT.functionName(matcher) || 'anonymous');
+    }
+    return String(matcher);
+};
+
+/**
+ * Seeded pseudo-random number generator (xorshift32) for `forAll()`, so that failing runs can be replayed.
+ *
+ * @param {number} seed 32-bit unsigned integer; 0 is replaced by a fixed non-zero seed
+ * @returns {function(): number} returns floats in [0, 1)
+ */
+MUT.createRandom = function (seed) {
+    var state = (seed >>> 0) || 0x9E3779B9;
+    return function () {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        state >>>= 0;
+        return state / 4294967296;
+    };
+};
+
+/**
+ * Built-in generators for `forAll()`.
+ *
+ * A generator is an object with the methods:
+ * * `generate(random)`: returns a new value, `random()` returns floats in [0, 1) and must be the only source of randomness
+ * * `shrink(value)`: returns simpler candidates for a failing value, simplest first, an empty array if there are none
+ */
+MUT.gen = (function () {
+    // code points, so that surrogate pairs are never split
+    var CODE_POINTS = /[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g;
+    var ASCII = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~';
+    // accents, combining marks, CJK, RTL, zero-width & non-breaking spaces, emoji outside the BMP
+    var UNICODE = ASCII + '\u00E4\u00F6\u00FC\u00DF\u00E9\u00E7\u00F1\u0301\u0308\u65E5\u672C\u8A9E\u05D0\u05D1\u0627\u200B\u00A0\u2013\u20AC\uD83D\uDE00\uD83C\uDFAC';
+    var PATH_CHARS = 'abcXYZ019 .-_~$()[]\u00E4\u00DF\u65E5\u200B\uD83D\uDE00';
+    var PATH_ROOTS = ['', 'C:\\', 'c:\\', '\\\\server\\share\\', '.\\', '..\\', '\\', '/'];
+
+    function codePoints(str) {
+        return str.match(CODE_POINTS) || [];
+    }
+    function randomInt(random, min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    }
+    function truncate(num) {
+        return num < 0 ? Math.ceil(num) : Math.floor(num);
+    }
+    function clamp(num, min, max) {
+        return Math.min(Math.max(num, min), max);
+    }
+    // shorter lists first: empty, halves, then without each single item
+    function shrinkList(items) {
+        var out = [], half = Math.floor(items.length / 2), i;
+        if (!items.length) return out;
+        out.push([]);
+        if (half > 0) {
+            out.push(items.slice(0, half));
+            out.push(items.slice(half));
+        }
+        for (i = 0; items.length > 1 && i < items.length; i++) {
+            out.push(items.slice(0, i).concat(items.slice(i + 1)));
+        }
+        return out;
+    }
+    function string(maxLength, chars) {
+        var pool = codePoints(chars);
+        maxLength = typeof maxLength === 'number' ? maxLength : 20;
+        return {
+            generate: function (random) {
+                var out = '', len = randomInt(random, 0, maxLength);
+                for (var i = 0; i < len; i++) out += pool[randomInt(random, 0, pool.length - 1)];
+                return out;
+            },
+            shrink: function (value) {
+                var out = shrinkList(codePoints(value));
+                for (var i = 0; i < out.length; i++) out[i] = out[i].join('');
+                return out;
+            }
+        };
+    }
+
+    return {
+        /**
+         * @param {number=} min default -1000
+         * @param {number=} max default 1000
+         * @returns {object} integers, shrinking towards 0, or the bound closest to it
+         */
+        int: function (min, max) {
+            min = typeof min === 'number' ? min : -1000;
+            max = typeof max === 'number' ? max : 1000;
+            return {
+                generate: function (random) {
+                    return randomInt(random, min, max);
+                },
+                shrink: function (value) {
+                    var target = clamp(0, min, max), out = [], d;
+                    if (value === target) return out;
+                    out.push(target);
+                    // from halfway to the target down to one step from the value
+                    for (d = truncate((value - target) / 2); d !== 0; d = truncate(d / 2)) out.push(value - d);
+                    return out;
+                }
+            };
+        },
+        /**
+         * @param {number=} min default -1000
+         * @param {number=} max default 1000
+         * @returns {object} floats, shrinking towards 0, or the bound closest to it
+         */
+        float: function (min, max) {
+            min = typeof min === 'number' ? min : -1000;
+            max = typeof max === 'number' ? max : 1000;
+            return {
+                generate: function (random) {
+                    return min + random() * (max - min);
+                },
+                shrink: function (value) {
+                    var target = clamp(0, min, max), whole = truncate(value), out = [], d;
+                    if (value === target) return out;
+                    out.push(target);
+                    // without the fraction, then like integers
+                    if (whole !== value && whole >= min && whole <= max) out.push(whole);
+                    for (d = truncate((whole - target) / 2); d !== 0; d = truncate(d / 2)) out.push(whole - d);
+                    return out;
+                }
+            };
+        },
+        /**
+         * @returns {object} booleans, shrinking towards false
+         */
+        bool: function () {
+            return {
+                generate: function (random) {
+                    return random() < 0.5;
+                },
+                shrink: function (value) {
+                    return value ? [false] : [];
+                }
+            };
+        },
+        /**
+         * @param {number=} maxLength in code points, default 20
+         * @param {string=} chars characters to pick from, default printable ASCII
+         * @returns {object} strings, shrinking towards shorter ones
+         */
+        string: function (maxLength, chars) {
+            return string(maxLength, chars || ASCII);
+        },
+        /**
+         * @param {number=} maxLength in code points, default 20
+         * @returns {object} strings mixing ASCII with accents, combining marks, CJK, RTL, invisible characters & emoji
+         */
+        unicodeString: function (maxLength) {
+            return string(maxLength, UNICODE);
+        },
+        /**
+         * @param {number=} maxSegments default 4
+         * @returns {object} path-like strings, e.g. `C:\\ab.c\\X $~.txt` or `..\\日本`, with mixed separators,
+         * UNC & relative roots, dots & spaces in names and optional extensions
+         */
+        path: function (maxSegments) {
+            var segment = string(8, PATH_CHARS);
+            maxSegments = typeof maxSegments === 'number' ? maxSegments : 4;
+            return {
+                generate: function (random) {
+                    var out = PATH_ROOTS[randomInt(random, 0, PATH_ROOTS.length - 1)], count = randomInt(random, 0, maxSegments);
+                    for (var i = 0; i < count; i++) {
+                        out += (i ? (random() < 0.8 ? '\\' : '/') : '') + segment.generate(random);
+                    }
+                    if (count && random() < 0.5) out += '.' + ['txt', 'mkv', 'tar.gz', 'JPG', ''][randomInt(random, 0, 4)];
+                    return out;
+                },
+                shrink: segment.shrink
+            };
+        },
+        /**
+         * @param {object} itemGen generator for the items
+         * @param {number=} maxLength default 10
+         * @returns {object} arrays, shrinking towards fewer, then simpler items
+         */
+        array: function (itemGen, maxLength) {
+            maxLength = typeof maxLength === 'number' ? maxLength : 10;
+            return {
+                generate: function (random) {
+                    var out = [], len = randomInt(random, 0, maxLength);
+                    for (var i = 0; i < len; i++) out.push(itemGen.generate(random));
+                    return out;
+                },
+                shrink: function (value) {
+                    var out = shrinkList(value), i, j, items, copy;
+                    for (i = 0; i < value.length; i++) {
+                        items = itemGen.shrink(value[i]);
+                        for (j = 0; j < items.length; j++) {
+                            copy = value.slice(0);
+                            copy[i] = items[j];
+                            out.push(copy);
+                        }
+                    }
+                    return out;
+                }
+            };
+        },
+        /**
+         * @param {object} shape generators keyed by property name, e.g. `{ name: MUT.gen.string(), size: MUT.gen.int(0) }`
+         * @returns {object} objects with these keys, shrinking one property at a time
+         */
+        object: function (shape) {
+            return {
+                generate: function (random) {
+                    var out = {};
+                    for (var k in shape) {
+                        if (shape.hasOwnProperty(k)) out[k] = shape[k].generate(random);
+                    }
+                    return out;
+                },
+                shrink: function (value) {
+                    var out = [], k, l, j, items, copy;
+                    for (k in shape) {
+                        if (!shape.hasOwnProperty(k)) continue;
+                        items = shape[k].shrink(value[k]);
+                        for (j = 0; j < items.length; j++) {
+                            copy = {};
+                            for (l in value) {
+                                if (value.hasOwnProperty(l)) copy[l] = value[l];
+                            }
+                            copy[k] = items[j];
+                            out.push(copy);
+                        }
+                    }
+                    return out;
+                }
+            };
+        },
+        /**
+         * @param {any[]} choices generators and/or plain values
+         * @returns {object} values of a random choice; plain values shrink towards the choices listed before them
+         */
+        oneOf: function (choices) {
+            function isGen(choice) {
+                return choice !== null && typeof choice === 'object' && typeof choice.generate === 'function';
+            }
+            return {
+                generate: function (random) {
+                    var choice = choices[randomInt(random, 0, choices.length - 1)];
+                    return isGen(choice) ? choice.generate(random) : choice;
+                },
+                shrink: function (value) {
+                    var out = [];
+                    for (var i = 0; i < choices.length && !(!isGen(choices[i]) && MUT.deepDiff(choices[i], value) === null); i++) {
+                        if (!isGen(choices[i])) out.push(choices[i]);
+                    }
+                    // values of generator choices are not shrunk, it is unknown which generator produced them
+                    return i < choices.length ? out : [];
+                }
+            };
+        }
+    };
+})();
+
+/**
+ * @param {MUTBenchmark} stats as returned by `benchmark()`
+ * @returns {string} e.g. `benchmark parseName     1000 x  mean   0.0150 ms  min   0 ms  max   1 ms     66666.7 ops/sec`,
+ * with `n/a ops/sec` if the total was below the timer resolution
+ */
+MUT.formatBenchmark = function (stats) {
+    return sprintf('benchmark %-12s %6d x  mean %8.4f ms  min %3d ms  max %3d ms  %11s ops/sec',
+        stats.name, stats.iterations, stats.mean, stats.min, stats.max, stats.opsPerSec === null ? 'n/a' : sprintf('%.1f', stats.opsPerSec));
+};
+
+/**
+ * Built-in reporters, selected via the `reporter` option by name.
+ *
+ * A reporter is an object with any of the following hooks, each of which receives the MUT instance as first parameter:
+ * * `suiteStart(mut)`
+ * * `groupStart(mut, group)` & `groupEnd(mut, group)`: around the tests of a group, see `MUT.newGroup()`
+ * * `testStart(mut, test)`: not called for skipped & filtered tests
+ * * `assertion(mut, test, record)`: `test` is null for assertions outside of `run()`
+ * * `benchmark(mut, test, stats)`: see `benchmark()`, `test` is null outside of `run()`
+ * * `testEnd(mut, test)`
+ * * `suiteEnd(mut, results)`
+ * * `runAllStart(out)` & `runAllEnd(out, aggregate)`: called once by `MUT.runAll()` before & after all suites,
+ *   with an `out(msg, status)` function since there is no MUT instance; in between, the other hooks receive the suites
+ *
+ * and optionally `formatLine(msg, status)`, which is used by the default output to format each line.
+ * Reporters write via `mut.$out()`, so a `cbOut` callback receives their output as well.
+ *
+ * Note that the message buffer used by `autoFlush: false`, `.flush()` & `.getMessages()` is fed by the console reporters only,
+ * i.e. `dopus` & `text`.
+ */
+MUT.reporters = {
+    /** colored HTML lines for the DOpus script console, the default */
+    dopus: function () {
+        return MUT.createConsoleReporter(function (msg, status) {
+            return sprintf('<b><font color="%s">%s</font></b>', (status === true ? '#33ff00' : status === false ? '#ff6666' : '#cccccc'), msg||'');
+        });
+    },
+    /** same as dopus, but without any markup */
+    text: function () {
+        return MUT.createConsoleReporter(function (msg) {
+            return msg || '';
+        });
+    },
+    /** TAP version 13, one test point per test, failures as YAML diagnostics; one stream for all suites of `MUT.runAll()` */
+    tap: function () {
+        var count = 0, runAll = false;
+        function yamlString(str) {
+            return '\'' + String(str).replace(/\s+$/, '').replace(/'/g, '\'\'').replace(/\r?\n/g, ' ') + '\'';
+        }
+        return {
+            runAllStart: function (out) {
+                runAll = true;
+                count = 0;
+                out('TAP version 13');
+            },
+            runAllEnd: function (out) {
+                runAll = false;
+                out('1..' + count);
+            },
+            suiteStart: function (mut) {
+                if (!runAll) {
+                    count = 0;
+                    mut.$out('TAP version 13');
+                }
+                mut.$out('# ' + mut.name);
+            },
+            suiteEnd: function (mut) {
+                // the plan comes last, failing afterAll hooks add test points
+                if (!runAll) mut.$out('1..' + count);
+            },
+            benchmark: function (mut, test, stats) {
+                mut.$out('# ' + MUT.formatBenchmark(stats));
+            },
+            testEnd: function (mut, test) {
+                var i, failed = [];
+                count++;
+                if (test.status === 'skipped' || test.status === 'filtered') {
+                    mut.$out('ok ' + count + ' - ' + test.fullName + ' # SKIP' + (test.status === 'filtered' ? ' filtered out' : ''));
+                    return;
+                }
+                mut.$out((test.status === 'passed' ? 'ok ' : 'not ok ') + count + ' - ' + test.fullName);
+                if (test.slow) mut.$out('# slow: ' + test.duration + ' ms');
+                if (test.status === 'passed') return;
+                for (i = 0; i < test.assertions.length; i++) {
+                    if (test.assertions[i].status === false) failed.push(test.assertions[i].msg);
+                }
+                mut.$out('  ---');
+                mut.$out('  message: ' + yamlString(test.error));
+                mut.$out('  severity: ' + (test.status === 'errored' ? 'error' : 'fail'));
+                if (failed.length) {
+                    mut.$out('  failures:');
+                    for (i = 0; i < failed.length; i++) mut.$out('    - ' + yamlString(failed[i]));
+                }
+                mut.$out('  duration_ms: ' + test.duration);
+                mut.$out('  ...');
+            }
+        };
+    },
+    /** a single JUnit XML document at the end of the suite, or of `MUT.runAll()` with a `testsuites` root */
+    junit: function () {
+        var suites = null;
+        function attr(str) {
+            return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/\r?\n/g, '&#10;');
+        }
+        function seconds(ms) {
+            return (ms / 1000).toFixed(3);
+        }
+        return {
+            runAllStart: function () {
+                suites = [];
+            },
+            runAllEnd: function (out, aggregate) {
+                var totals = aggregate.totals;
+                out('<?xml version="1.0" encoding="UTF-8"?>\n' +
+                    sprintf('<testsuites tests="%d" failures="%d" errors="%d" skipped="%d" time="%s">\n',
+                        totals.tests, totals.failed, totals.errored, totals.skipped + totals.filtered, seconds(aggregate.duration)) +
+                    (suites.length ? suites.join('\n').replace(/^/gm, '  ') + '\n' : '') +
+                    '</testsuites>');
+                suites = null;
+            },
+            suiteEnd: function (mut, results) {
+                var i, j, test, details, totals = results.totals;
+                var xml = sprintf('<testsuite name="%s" tests="%d" failures="%d" errors="%d" skipped="%d" time="%s">\n',
+                    attr(results.name), totals.tests, totals.failed, totals.errored, totals.skipped + totals.filtered, seconds(results.duration));
+                for (i = 0; i < results.tests.length; i++) {
+                    test = results.tests[i];
+                    xml += sprintf('  <testcase name="%s" classname="%s" time="%s"', attr(test.name), attr([results.name].concat(test.group).join('.')), seconds(test.duration));
+                    if (test.status === 'passed') {
+                        xml += '/>\n';
+                        continue;
+                    }
+                    xml += '>\n';
+                    if (test.status === 'skipped' || test.status === 'filtered') {
+                        xml += sprintf('    <skipped message="%s"/>\n', test.status === 'filtered' ? 'filtered out' : 'skipped');
+                    } else {
+                        details = '';
+                        for (j = 0; j < test.assertions.length; j++) {
+                            if (test.assertions[j].status === false) details += attr(test.assertions[j].msg) + '\n';
+                        }
+                        xml += sprintf('    <%s message="%s">%s</%s>\n',
+                            (test.status === 'failed' ? 'failure' : 'error'), attr(test.error), details, (test.status === 'failed' ? 'failure' : 'error'));
+                    }
+                    xml += '  </testcase>\n';
+                }
+                xml += '</testsuite>';
+                if (suites) {
+                    suites.push(xml);
+                } else {
+                    mut.$out('<?xml version="1.0" encoding="UTF-8"?>\n' + xml);
+                }
+            }
+        };
+    },
+    /** the results object as returned by run(), as JSON, or the one of `MUT.runAll()` with all suites' results */
+    json: function () {
+        var runAll = false;
+        return {
+            runAllStart: function () {
+                runAll = true;
+            },
+            runAllEnd: function (out, aggregate) {
+                runAll = false;
+                out(JSON.stringify(aggregate, null, 2));
+            },
+            suiteEnd: function (mut, results) {
+                if (!runAll) mut.$out(JSON.stringify(results, null, 2));
+            }
+        };
+    }
+};
+
+/**
+ * Creates the line-based console reporter shared by `dopus` & `text`, which honors `skipSuccess` & `autoFlush`.
+ *
+ * @param {function(string, boolean=): string} formatLine
+ * @returns {object}
+ */
+MUT.createConsoleReporter = function (formatLine) {
+    function indent(depth) {
+        return new Array(depth + 1).join('    ');
+    }
+    return {
+        formatLine: formatLine,
+        suiteStart: function (mut) {
+            mut.$out('Suite: ' + mut.name);
+        },
+        runAllEnd: function (out, aggregate) {
+            var lines = MUT.formatSummary(aggregate);
+            for (var i = 0; i < lines.length; i++) out(lines[i].msg, lines[i].status);
+        },
+        groupStart: function (mut, group) {
+            mut.$out(indent(group.path.length - 1) + 'Group: ' + group.name);
+        },
+        testStart: function (mut, test) {
+            mut.$out(indent(test.group.length) + 'Running: ' + test.name);
+        },
+        assertion: function (mut, test, record) {
+            if (record.status === true && mut.skipSuccess) return;
+            var msg = mut.prefix + (test && test.group.length ? test.group.join(' > ') + ': ' : '') + record.msg;
+            if (mut.autoFlush) {
+                mut.$out(msg, record.status);
+            } else {
+                mut.messages.push({ 'status': record.status, 'msg': msg });
+            }
+        },
+        benchmark: function (mut, test, stats) {
+            var msg = mut.prefix + (test && test.group.length ? test.group.join(' > ') + ': ' : '') + MUT.formatBenchmark(stats);
+            if (mut.autoFlush) {
+                mut.$out(msg);
+            } else {
+                mut.messages.push({ 'status': undefined, 'msg': msg });
+            }
+        },
+        testEnd: function (mut, test) {
+            if (test.status === 'skipped' || test.status === 'filtered') {
+                mut.$out(indent(test.group.length) + (test.status === 'skipped' ? 'Skipped: ' : 'Filtered out: ') + test.name);
+            } else {
+                mut.$out(indent(test.group.length) + (test.status === 'passed'
+                    ? 'Test passed'
+                    : (test.status === 'failed' ? 'Test failed: ' : 'Test errored: ') + (test.group.length ? test.fullName + ': ' : '') + test.error)
+                    + sprintf(' (%d ms%s)', test.duration, test.slow ? ', slow' : ''));
+            }
+            mut.$out();
+        }
+    };
+};
+
+/**
+ * @param {string|object} reporter name of a built-in reporter or a reporter object
+ * @param {MUT} mut
+ * @returns {object}
+ */
+MUT.createReporter = function (reporter, mut) {
+    if (typeof reporter === 'object' && reporter !== null) {
+        return reporter;
+    }
+    if (typeof reporter !== 'string' || !MUT.reporters.hasOwnProperty(reporter)) {
+        throw new Error('unknown reporter: ' + reporter);
+    }
+    return MUT.reporters[reporter](mut);
+};
 
-    this.tests          = [];
-    this.setup          = null;
-    this.teardown       = null;
-    this.messages       = [];
-}
+/**
+ * Non-zero while MUT writes its own output, which `captureOutput()` passes through instead of capturing.
+ *
+ * @type {number}
+ */
+MUT.ownOutputDepth = 0;
 
-MUT.prototype = {
-    collectOrOutputOrAbort: function (/** @type {string} */ msg, /** @type {boolean} */ status) {
-        if (this.skipSuccess) return;
-        if (this.autoFlush) {
-            this.$out(this.prefix + msg, status);
-        } else {
-            this.messages.push({ 'status': status, 'msg': this.prefix + msg });
+/**
+ * @param {function(string=, boolean=): void} out output function, e.g. `cbOut`
+ * @returns {function(string=, boolean=): void} `out` wrapped so that its output is not captured by `captureOutput()`
+ */
+MUT.markOwnOutput = function (out) {
+    return function () {
+        MUT.ownOutputDepth++;
+        try {
+            return out.apply(this, arguments);
+        } finally {
+            MUT.ownOutputDepth--;
         }
-        if (status === false && this.abortOnErrors) {
-            if (!this.autoFlush) this.flush();
-            throw new Error(msg);
+    };
+};
+
+/**
+ * Host adapters, selected via the `host` option by name or detected automatically.
+ *
+ * A host is an object with:
+ * * `name`: string
+ * * `reporter`: name of the default reporter for this host
+ * * `output(line)`: writes a line
+ * * `setFailed()`: called after a suite run with failed or errored tests, e.g. to set the process exit code
+ * * `readFile(path)`: returns the contents of a UTF-8 text file, null if it does not exist
+ * * `writeFile(path, text)`: writes a UTF-8 text file
+ */
+MUT.hosts = {
+    /** Directory Opus script console */
+    dopus: {
+        name: 'dopus',
+        reporter: 'dopus',
+        output: function (/** @type {string} */ line) {
+            DOpus.output(line);
+        },
+        setFailed: function () {},
+        readFile: function (/** @type {string} */ path) {
+            return MUT.adoReadFile(path);
+        },
+        writeFile: function (/** @type {string} */ path, /** @type {string} */ text) {
+            MUT.adoWriteFile(path, text);
         }
     },
-    fail: function (/** @type {string} */ msg) {
-        if (!this.autoFlush) this.flush();
-        throw new Error(msg + '\n');
-    },
-    getMessages: function () {
-        return this.messages;
-    },
-    flush: function () {
-        var out = '';
-        if (this.messages.length) {
-            out += '\n';
-            for (var i = 0; i < this.messages.length; i++) {
-                var item = this.messages[i];
-                out += this.getOutLine(item.msg, item.status) + '\n';
-            }
-            this.$out(out, true);
+    /**
+     * Windows Script Host, i.e. cscript/wscript; since WScript.Quit() would end the script immediately,
+     * the exit code is only stored, call `WScript.Quit(MUT.hosts.wsh.exitCode)` at the end of the script
+     */
+    wsh: {
+        name: 'wsh',
+        reporter: 'text',
+        exitCode: 0,
+        output: function (/** @type {string} */ line) {
+            WScript.Echo(line);
+        },
+        setFailed: function () {
+            this.exitCode = 1;
+        },
+        readFile: function (/** @type {string} */ path) {
+            return MUT.adoReadFile(path);
+        },
+        writeFile: function (/** @type {string} */ path, /** @type {string} */ text) {
+            MUT.adoWriteFile(path, text);
         }
-        this.messages = [];
-    },
-    addTest: function(/** @type {string} */ name, /** @type {function} */ fnTester) {
-        this.tests.push({ name: name, tester: fnTester });
     },
+    /** Node.js, see DOpus_MUT_Node.js */
+    node: {
+        name: 'node',
+        // set by DOpus_MUT_Node.js --reporter=...
+        reporter: typeof MUT_REPORTER === 'string' && MUT_REPORTER ? MUT_REPORTER : 'text',
+        output: function (/** @type {string} */ line) {
+            console.log(line);
+        },
+        setFailed: function () {
+            process.exitCode = 1;
+        },
+        readFile: function (/** @type {string} */ path) {
+            var fs = require('fs');
+            // files written via ADODB.Stream, e.g. snapshots from DOpus, start with a BOM
+            return fs.existsSync(path) ? fs.readFileSync(path, 'utf8').replace(/^\uFEFF/, '') : null;
+        },
+        writeFile: function (/** @type {string} */ path, /** @type {string} */ text) {
+            require('fs').writeFileSync(path, text, 'utf8');
+        }
+    }
+};
 
-    setSetup: function(/** @type {function} */ fnSetup) {
-        this.setup = fnSetup;
-    },
+/**
+ * Reads a UTF-8 text file via ADODB.Stream, for the JScript hosts.
+ *
+ * @param {string} path
+ * @returns {string|null} null if the file does not exist
+ */
+MUT.adoReadFile = function (path) {
+    if (!new ActiveXObject('Scripting.FileSystemObject').FileExists(path)) return null;
+    var stream = new ActiveXObject('ADODB.Stream');
+    stream.Type = 2; // adTypeText
+    stream.Charset = 'utf-8';
+    stream.Open();
+    stream.LoadFromFile(path);
+    var text = stream.ReadText(-1); // adReadAll
+    stream.Close();
+    return text.replace(/^\uFEFF/, '');
+};
 
-    setTeardown: function(/** @type {function} */ fnTeardown) {
-        this.teardown = fnTeardown;
-    },
+/**
+ * Writes a UTF-8 text file via ADODB.Stream, for the JScript hosts.
+ *
+ * @param {string} path
+ * @param {string} text
+ */
+MUT.adoWriteFile = function (path, text) {
+    var stream = new ActiveXObject('ADODB.Stream');
+    stream.Type = 2; // adTypeText
+    stream.Charset = 'utf-8';
+    stream.Open();
+    stream.WriteText(text);
+    stream.SaveToFile(path, 2); // adSaveCreateOverWrite
+    stream.Close();
+};
 
-    assertEquals: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
-        var _status = act === exp;
-        var _msg = sprintf('%s%s %s - act=%s, exp=%s', (msg ? msg + ' -- ' : ''), 'assertEquals', (_status ? 'ok' : 'err'), act, exp);
-        this.collectOrOutputOrAbort(_msg, _status);
-    },
-    assertNotEquals: function (/** @type {any} */ act, /** @type {any} */ exp, /** @type {string} */ msg) {
-        var _status = act !== exp;
-        var _msg = sprintf('%s%s %s - act=%s, exp!=%s', (msg ? msg + ' -- ' : ''), 'assertNotEquals', (_status ? 'ok' : 'err'), act, exp);
-        this.collectOrOutputOrAbort(_msg, _status);
-    },
-    assertTypeofEquals: function (/** @type {any} */ act, /** @type {string} */ exp, /** @type {string} */ msg) {
-        var _status = typeof act === exp;
-        var _msg = sprintf('%s%s %s - act=%s, exp=%s', (msg ? msg + ' -- ' : ''), 'assertTypeofEquals', (_status ? 'ok' : 'err'), typeof act, exp);
-        this.collectOrOutputOrAbort(_msg, _status);
-    },
-    assertTypeofNotEquals: function (/** @type {any} */ act, /** @type {string} */ exp, /** @type {string} */ msg) {
-        var _status = typeof act !== exp;
-        var _msg = sprintf('%s%s %s - act=%s, exp!=%s', (msg ? msg + ' -- ' : ''), 'assertTypeofNotEquals', (_status ? 'ok' : 'err'), typeof act, exp);
-        this.collectOrOutputOrAbort(_msg, _status);
-    },
+/**
+ * @param {{DOpus?: object, WScript?: object, process?: object, console?: object}=} globals the globals to check,
+ * the real ones if omitted
+ * @returns {object} the host adapter for the environment the script is running in
+ */
+MUT.detectHost = function (globals) {
+    var g = globals || {
+        DOpus: typeof DOpus !== 'undefined' ? DOpus : undefined,
+        WScript: typeof WScript !== 'undefined' ? WScript : undefined,
+        process: typeof process !== 'undefined' ? process : undefined,
+        console: typeof console !== 'undefined' ? console : undefined
+    };
+    if (g.DOpus && typeof g.DOpus.output !== 'undefined') return MUT.hosts.dopus;
+    if (g.WScript && typeof g.WScript.Echo !== 'undefined') return MUT.hosts.wsh;
+    if (g.process && g.console) return MUT.hosts.node;
+    throw new Error('cannot detect the host environment, pass the host option');
+};
 
-    run: function() {
-        var test, i;
-        this.$out('Suite: ' + this.name);
-        for (i = 0; i < this.tests.length; i++) {
-            test = this.tests[i];
-            if (this.setup) this.setup();
-            this.$out('Running: ' + test.name);
-            try {
-                test.tester.apply(this);
-                this.$out('Test passed');
-            } catch (e) {
-                this.$out('Test failed: ' + e.message);
-            }
-            if (this.teardown) this.teardown();
-            this.$out();
-        }
+/**
+ * @param {string|object=} host name of a built-in host, a host object or undefined to detect it
+ * @returns {object}
+ */
+MUT.createHost = function (host) {
+    if (host === undefined || host === null) {
+        return MUT.detectHost();
+    }
+    if (typeof host === 'object') {
+        return host;
     }
+    if (typeof host !== 'string' || !MUT.hosts.hasOwnProperty(host)) {
+        throw new Error('unknown host: ' + host);
+    }
+    return MUT.hosts[host];
 };
 
-
-//
-//
-// SAMPLE TESTS
-//
-//
-var mut = new MUT({
-    name: 'Sample',
-    abortOnErrors: true,
-    autoFlush: true
-});
-mut.setSetup(function() {
-    // DOpus.output('set up test environment');
-});
-mut.setTeardown(function() {
-    // DOpus.output('teardown test environment');
-});
-mut.addTest('assertEquals() calls', function () {
-    mut.assertEquals(undefined,                         undefined,                      'assertEquals undefined');
-    mut.assertEquals(null,                              null,                           'assertEquals null');
-    mut.assertEquals(0,                                 0,                              'assertEquals number');
-    mut.assertEquals(true,                              true,                           'assertEquals boolean');
-    mut.assertEquals([].length,                         [].length,                      'assertEquals null array lengths');
-    mut.assertEquals(JSON.stringify({}),                JSON.stringify({}),             'assertEquals null object stringfied');
-    mut.assertEquals(new Date(2024, 0, 1).getTime(),    new Date(2024, 0, 1).getTime(), 'assertEquals Date');
-    mut.assertEquals(new RegExp(/ab+c/).toString(),     new RegExp(/ab+c/).toString(),  'assertEquals RegExp');
-});
-mut.addTest('assertNotEquals() calls', function () {
-    mut.assertNotEquals(undefined,                      null,                           'assertNotEquals undefined');
-    mut.assertNotEquals(null,                           undefined,                      'assertNotEquals null');
-    mut.assertNotEquals(NaN,                            NaN,                            'assertNotEquals NaN'); // NaNs in JS are never equal
-    mut.assertNotEquals(NaN,                            Infinity,                       'assertNotEquals NaN');
-    mut.assertNotEquals(0,                              1,                              'assertNotEquals number');
-    mut.assertNotEquals(true,                           false,                          'assertNotEquals boolean');
-    mut.assertNotEquals('Hello',                        'World',                        'assertNotEquals string');
-    mut.assertNotEquals([],                             [],                             'assertNotEquals null array');
-    mut.assertNotEquals({},                             {},                             'assertNotEquals null object');
-    mut.assertNotEquals([],                             [1],                            'assertNotEquals null array');
-    mut.assertNotEquals({},                             { a: 1 },                       'assertNotEquals null object');
-    mut.assertNotEquals(new Date(2024, 1, 2).getTime(), new Date(2024, 3, 4).getTime(), 'assertNotEquals Date');
-    mut.assertNotEquals(new RegExp(/ab+c/).toString(),  new RegExp(/ab+c/i).toString(), 'assertNotEquals RegExp');
-});
-mut.addTest('assertTypeofEquals', function () {
-    mut.assertTypeofEquals(undefined,                   'undefined',                    'assertTypeofEquals undefined');
-    mut.assertTypeofEquals(null,                        'object',                       'assertTypeofEquals null');
-    mut.assertTypeofEquals(NaN,                         'number',                       'assertTypeofEquals NaN');
-    mut.assertTypeofEquals(Infinity,                    'number',                       'assertTypeofEquals NaN');
-    mut.assertTypeofEquals(0,                           'number',                       'assertTypeofEquals number');
-    mut.assertTypeofEquals(true,                        'boolean',                      'assertTypeofEquals boolean');
-    mut.assertTypeofEquals('Hello',                     'string',                       'assertTypeofEquals string');
-    mut.assertTypeofEquals([],                          'object',                       'assertTypeofEquals null array');
-    mut.assertTypeofEquals({},                          'object',                       'assertTypeofEquals null object');
-    mut.assertTypeofEquals(function() {},               'function',                     'assertTypeofEquals function');
-});
-mut.addTest('assertTypeofNotEquals', function() {
-    mut.assertTypeofNotEquals(function () { }, 'boolean', 'assertTypeofNotEquals function');
-    // mut.flush();
-});
-
-mut.addTest('Manual flush', function() {
-    mut.autoFlush = false;
-    mut.assertEquals(1, 1, 'number comparison');
-    mut.assertNotEquals('Hello', 'hello', 'case-sensitive comparison');
-    mut.assertTypeofEquals([], 'object', 'typeof array');
-    // mut.flush();
-});
-
-mut.run();
-
-// if you want to collect the messages first so you can filter them out with own logic
-// set both autoFlush & skipSuccess to FALSE, and pass a null function as callback
-// and do NOT call flush in any of the addTest() methods
-// e.g.
-var mut2 = new MUT({
-    name: 'custom collect',
-    abortOnErrors: true,
-    autoFlush: false,
-    skipSuccess: false,
-    cbOut: function () { }
-});
-mut2.addTest('my test', function () {
-    mut2.assertEquals(1, 1, 'my msg');
-});
-mut2.run();
-DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
-
 // sprintf - copied from my other scripts
 // sprintf - BEGIN
 // https://hexmen.com/blog/2007/03/14/printf-sprintf/
@@ -349,7 +2382,7 @@ DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
      * - out of order arguments (good for templates & message formats)
      *     sprintf("Estimate: %2$d units total: %1$.2f total", total, quantity)
      *
-     * - binary, octal and hex prefixes (default: none)
+     * - binary and hex prefixes (default: none)
      *     sprintf("%b", 13) ->    "1101"
      *     sprintf("%#b", 13) ->   "0b1101"
      *     sprintf("%#06x", 13) -> "0x000d"
@@ -372,12 +2405,27 @@ DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
      *     sprintf("%.3p", 2.1) ->     "2.1"
      *     sprintf("%.3p", '2.100') -> "2.10"
      *
+     * - thousands grouping for integers & floats, separator see sprintf.thousandsSeparator (default: none)
+     *     sprintf("%'d", 1234567) ->    "1,234,567"
+     *     sprintf("%'.2f", 1234.5) ->   "1,234.50"
+     *     sprintf("%0'8d", 12345) ->    "  12,345" (the 0 flag is ignored)
+     *
+     * - named arguments, read from the first argument after the format
+     *     sprintf("%(name)s: %(size)'d", { name: 'a.mkv', size: 1024 }) -> "a.mkv: 1,024"
+     *
+     * - structured values; precision truncates like for %s
+     *     sprintf("%j", { a: [1] }) ->  '{"a":[1]}'
+     *     sprintf("%O", { a: [1] }) ->  "{a: [1]}"
+     *     sprintf("%o", 8) ->           "8"
+     *
      * Deviations from perl spec:
      * - %n suppresses an argument
      * - %p and %P act like %g, but without over-claiming accuracy:
      *   Compare:
      *     sprintf("%.3g", "2.1") -> "2.10"
      *     sprintf("%.3p", "2.1") -> "2.1"
+     * - %j outputs JSON, %o & %O an inspect-style dump via MUT.inspect() (JSON without MUT), for all types;
+     *   there is no octal conversion
      *
      * @version 2011.09.23
      * @author Ash Searle
@@ -401,12 +2449,22 @@ DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
             return value;
         }
 
+        function groupThousands(str) {
+            if (/e/i.test(str)) return str;
+            var dot = str.indexOf('.'), intPart = dot === -1 ? str : str.slice(0, dot);
+            return intPart.replace(/\B(?=(\d{3})+$)/g, sprintf.thousandsSeparator) + (dot === -1 ? '' : str.slice(dot));
+        }
+
+        function dump(value) {
+            return typeof MUT === 'function' && MUT.inspect ? MUT.inspect(value) : String(JSON.stringify(value));
+        }
+
         var a = arguments, i = 0, format = a[i++];
-        return format.replace(sprintf.regex, function (substring, valueIndex, flags, minWidth, _, precision, type) {
+        return format.replace(sprintf.regex, function (substring, valueIndex, name, flags, minWidth, _, precision, type) {
             if (substring == '%%') return '%';
 
             // parse flags
-            var leftJustify = false, positivePrefix = '', zeroPad = false, prefixBaseX = false;
+            var leftJustify = false, positivePrefix = '', zeroPad = false, prefixBaseX = false, thousands = false;
             for (var j = 0; flags && j < flags.length; j++) {
                 switch (flags.charAt(j)) {
                 case ' ': positivePrefix = ' '; break;
@@ -414,6 +2472,7 @@ DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
                 case '-': leftJustify = true; break;
                 case '0': zeroPad = true; break;
                 case '#': prefixBaseX = true; break;
+                case '\'': thousands = true; break;
                 }
             }
 
@@ -453,8 +2512,16 @@ DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
                 precision = +precision;
             }
 
-            // grab value using valueIndex if required?
-            var value = valueIndex ? a[valueIndex.slice(0, -1)] : a[i++];
+            // grab value using valueIndex or name if required?
+            var value;
+            if (name) {
+                if (typeof a[1] !== 'object' || a[1] === null) {
+                    throw new Error('sprintf named arguments require an object as first argument');
+                }
+                value = a[1][name];
+            } else {
+                value = valueIndex ? a[valueIndex.slice(0, -1)] : a[i++];
+            }
             var prefix, base;
 
             switch (type) {
@@ -471,8 +2538,15 @@ DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
                 prefix = '';
                 break;
             }
+            case 'j': case 'o': case 'O': {
+                value = type == 'j' ? String(JSON.stringify(value)) : dump(value);
+                if (precision != null) {
+                    value = value.slice(0, precision);
+                }
+                prefix = '';
+                break;
+            }
             case 'b': base = 2; break;
-            case 'o': base = 8; break;
             case 'u': base = 10; break;
             case 'x': case 'X': base = 16; break;
             case 'i':
@@ -482,7 +2556,8 @@ DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
                     return '';
                 }
                 prefix = number < 0 ? '-' : positivePrefix;
-                value = prefix + pad(String(Math.abs(number)), precision, '0', false);
+                value = pad(String(Math.abs(number)), precision, '0', false);
+                value = prefix + (thousands ? groupThousands(value) : value);
                 break;
             }
             case 'e': case 'E':
@@ -507,7 +2582,7 @@ DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
                     method = (!precision || precision <= sf2) ? 'toPrecision' : 'toExponential';
                 }
                 var number_str = Math.abs(number)[method](precision);
-                // number_str = thousandSeparation ? thousand_separate(number_str): number_str;
+                number_str = thousands ? groupThousands(number_str) : number_str;
                 value = prefix + number_str;
                 break;
             }
@@ -522,10 +2597,1043 @@ DOpus.output('mut2 messages:\n' + JSON.stringify(mut2.getMessages(), null, 4));
                 prefix = prefixBaseX && base != 10 && number && ['0b', '0', '0x'][base >> 3] || '';
                 value = prefix + pad(number.toString(base), precision || 0, '0', false);
             }
-            var justified = justify(value, prefix, leftJustify, minWidth, zeroPad);
+            // zero padding would go in after the grouping, e.g. 0012,345
+            var justified = justify(value, prefix, leftJustify, minWidth, zeroPad && !thousands);
             return ('EFGPX'.indexOf(type) > -1) ? justified.toUpperCase() : justified;
         });
     }
-    sprintf.regex = /%%|%(\d+\$)?([-+#0 ]*)(\*\d+\$|\*|\d+)?(\.(\*\d+\$|\*|\d+))?([scboxXuidfegpEGP])/g;
+    sprintf.regex = /%%|%(?:(\d+\$)|\(([^)]+)\))?([-+#0 ']*)(\*\d+\$|\*|\d+)?(\.(\*\d+\$|\*|\d+))?([scboxXuidfegpEGPjO])/g;
+    /** separator for the ' flag */
+    sprintf.thousandsSeparator = ',';
 }
 // sprintf - END
+
+
+//
+//
+// SAMPLE TESTS
+// they are skipped if MUT_SKIP_SAMPLES is set, e.g. by DOpus_MUT_Node.js when it loads this file as library
+//
+//
+if (typeof MUT_SKIP_SAMPLES === 'undefined' || !MUT_SKIP_SAMPLES) {
+    var mut = new MUT({
+        name: 'Sample',
+        register: true,
+        abortOnErrors: true,
+        autoFlush: true
+    });
+    mut.setSetup(function(ctx) {
+        // DOpus.output('set up test environment');
+        ctx.items = [];
+    });
+    mut.setTeardown(function(ctx) {
+        // DOpus.output('teardown test environment');
+        ctx.items = null;
+    });
+
+    /**
+     * Creates a MUT instance to test MUT itself: it does not abort, reports successes,
+     * and collects its output lines in `probe.lines` instead of writing them; its failures do not set the exit code.
+     *
+     * @param {object=} options MUT options, overriding these defaults
+     * @returns {MUT}
+     */
+    function newProbe(options) {
+        var lines = [], probe, k;
+        var merged = { name: 'probe', abortOnErrors: false, skipSuccess: false, reporter: 'text', cbOut: function (msg) {
+            lines.push(msg === undefined ? '' : msg);
+        }, host: {
+            name: 'probe',
+            reporter: 'text',
+            output: function (line) {
+                lines.push(line);
+            },
+            setFailed: function () {}
+        } };
+        for (k in options || {}) {
+            if (options.hasOwnProperty(k)) merged[k] = options[k];
+        }
+        probe = new MUT(merged);
+        probe.lines = lines;
+        return probe;
+    }
+
+    mut.addTest('failures are recorded with skipSuccess & without abort', function () {
+        var probe = newProbe({ skipSuccess: true });
+        probe.addTest('assertions', function () {
+            probe.assertEquals(1, 2,                    'first');
+            probe.assertEquals(1, 1,                    'second');
+        });
+        probe.addTest('fail()', function () {
+            probe.fail('boom');
+        });
+        probe.run();
+        var results = probe.getResults();
+        mut.assertFalse(results.success,                'suite failed');
+        mut.assertEquals(results.tests[0].status,       'failed',                       'test failed');
+        mut.assertEquals(results.tests[0].failures,     1,                              'failure counted');
+        mut.assertLength(results.tests[0].assertions,   2,                              'test continued after the failure');
+        mut.assertEquals(results.tests[1].error,        'boom',                         'fail() message');
+        mut.assertContains(probe.lines,                 'probe: first -- assertEquals err - act=1, exp=2', 'failure output');
+        mut.assertNotContains(probe.lines,              'probe: second -- assertEquals ok - act=1, exp=1', 'no success output');
+        mut.assertOutputMatches(probe.lines,            /^Test failed: boom \(\d+ ms\)$/, 'fail() output');
+    });
+    /**
+     * Adds a passing, a failing, a skipped and an errored test to the probe & runs it.
+     *
+     * @param {MUT} probe see `newProbe()`
+     * @returns {MUTResults}
+     */
+    function runReporterProbe(probe) {
+        probe.addTest('passes', function () {
+            probe.assertTrue(true, 'yes');
+        });
+        probe.addTest('fails', function () {
+            probe.assertEquals(1, 2, 'no');
+        });
+        probe.addTest('skipped', function () { }, { skip: true });
+        probe.group('group', function () {
+            probe.addTest('errors', function () {
+                throw new Error('a <b> & "c"');
+            });
+        });
+        return probe.run();
+    }
+    mut.addTest('run() results', function () {
+        var results = runReporterProbe(newProbe());
+        mut.assertFalse(results.success,                'success');
+        mut.assertDeepEquals(results.totals, {
+            tests: 4, passed: 1, failed: 1, errored: 1, skipped: 1, filtered: 0, slow: 0,
+            assertions: 2, assertionsPassed: 1, assertionsFailed: 1
+        },                                                                              'totals');
+        mut.assertEquals(results.tests[3].fullName,     'group > errors',               'fullName');
+        mut.assertDeepEquals(results.tests[3].group,    ['group'],                      'group path');
+        mut.assertEquals(results.tests[3].error,        'Error: a <b> & "c"',           'error');
+    });
+    mut.addTest('text reporter', function () {
+        var probe = newProbe();
+        runReporterProbe(probe);
+        mut.assertDeepEquals(probe.lines.join('\n').replace(/\(\d+ ms\)/g, '(0 ms)').split('\n'), [
+            'Suite: probe',
+            'Running: passes',
+            'probe: yes -- assertTrue ok - act=true, exp=true',
+            'Test passed (0 ms)',
+            '',
+            'Running: fails',
+            'probe: no -- assertEquals err - act=1, exp=2',
+            'Test failed: 1 assertion(s) failed (0 ms)',
+            '',
+            'Skipped: skipped',
+            '',
+            'Group: group',
+            '    Running: errors',
+            '    Test errored: group > errors: Error: a <b> & "c" (0 ms)',
+            ''
+        ],                                                                              'output');
+    });
+    mut.addTest('tap reporter', function () {
+        var probe = newProbe({ reporter: 'tap' });
+        runReporterProbe(probe);
+        mut.assertDeepEquals(probe.lines.join('\n').replace(/duration_ms: \d+/g, 'duration_ms: 0').split('\n'), [
+            'TAP version 13',
+            '# probe',
+            'ok 1 - passes',
+            'not ok 2 - fails',
+            '  ---',
+            '  message: \'1 assertion(s) failed\'',
+            '  severity: fail',
+            '  failures:',
+            '    - \'no -- assertEquals err - act=1, exp=2\'',
+            '  duration_ms: 0',
+            '  ...',
+            'ok 3 - skipped # SKIP',
+            'not ok 4 - group > errors',
+            '  ---',
+            '  message: \'Error: a <b> & "c"\'',
+            '  severity: error',
+            '  duration_ms: 0',
+            '  ...',
+            '1..4'
+        ],                                                                              'output');
+    });
+    mut.addTest('junit reporter', function () {
+        var probe = newProbe({ reporter: 'junit' });
+        runReporterProbe(probe);
+        mut.assertLength(probe.lines,                   1,                              'one document');
+        mut.assertDeepEquals(probe.lines[0].replace(/time="[\d.]+"/g, 'time="0"').split('\n'), [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<testsuite name="probe" tests="4" failures="1" errors="1" skipped="1" time="0">',
+            '  <testcase name="passes" classname="probe" time="0"/>',
+            '  <testcase name="fails" classname="probe" time="0">',
+            '    <failure message="1 assertion(s) failed">no -- assertEquals err - act=1, exp=2',
+            '</failure>',
+            '  </testcase>',
+            '  <testcase name="skipped" classname="probe" time="0">',
+            '    <skipped message="skipped"/>',
+            '  </testcase>',
+            '  <testcase name="errors" classname="probe.group" time="0">',
+            '    <error message="Error: a &lt;b&gt; &amp; &quot;c&quot;"></error>',
+            '  </testcase>',
+            '</testsuite>'
+        ],                                                                              'output');
+    });
+    mut.addTest('json reporter', function () {
+        var probe = newProbe({ reporter: 'json' });
+        var results = runReporterProbe(probe);
+        mut.assertLength(probe.lines,                   1,                              'one document');
+        mut.assertDeepEquals(JSON.parse(probe.lines[0]), JSON.parse(JSON.stringify(results)), 'output');
+    });
+    mut.addTest('runAll() as one document', function () {
+        var saved = MUT.registry, lines, aggregate;
+        function collect(msg) {
+            lines.push(msg === undefined ? '' : msg);
+        }
+        /**
+         * @param {string} reporter
+         * @returns {string[]} the output of the suites & of `MUT.runAll()`, durations zeroed
+         */
+        function runAll(reporter) {
+            lines = [];
+            aggregate = MUT.runAll({ reporter: reporter, cbOut: collect });
+            return lines.join('\n').replace(/time="[\d.]+"/g, 'time="0"').replace(/\d+ ms/g, '0 ms').split('\n');
+        }
+        MUT.registry = [];
+        try {
+            newProbe({ name: 'first', register: true, cbOut: collect }).addTest('passes', function () { });
+            newProbe({ name: 'second', register: true, cbOut: collect }).addTest('passes', function () { });
+            var ownReporter = MUT.registry[0].reporter;
+            mut.assertDeepEquals(runAll('tap'), [
+                'TAP version 13', '# first', 'ok 1 - passes', '# second', 'ok 2 - passes', '1..2'
+            ],                                                                          'one TAP stream with one plan');
+            mut.assertDeepEquals(runAll('junit'), [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<testsuites tests="2" failures="0" errors="0" skipped="0" time="0">',
+                '  <testsuite name="first" tests="1" failures="0" errors="0" skipped="0" time="0">',
+                '    <testcase name="passes" classname="first" time="0"/>',
+                '  </testsuite>',
+                '  <testsuite name="second" tests="1" failures="0" errors="0" skipped="0" time="0">',
+                '    <testcase name="passes" classname="second" time="0"/>',
+                '  </testsuite>',
+                '</testsuites>'
+            ],                                                                          'one JUnit document');
+            mut.assertLength(lines,                     1,                              'one JUnit output');
+            mut.assertLength(lines[0].match(/<\?xml /g), 1,                             'one XML root');
+            runAll('json');
+            mut.assertLength(lines,                     1,                              'one JSON output');
+            mut.assertDeepEquals(JSON.parse(lines[0]),  JSON.parse(JSON.stringify(aggregate)), 'JSON of the aggregate');
+            mut.assertDeepEquals(runAll('text'), [
+                'Suite: first', 'Running: passes', 'Test passed (0 ms)', '',
+                'Suite: second', 'Running: passes', 'Test passed (0 ms)', '',
+                'Summary: 2 suite(s) in 0 ms',
+                '  PASSED  first                    1 tests: 1 passed, 0 failed, 0 errored, 0 skipped, 0 filtered (0 ms)',
+                '  PASSED  second                   1 tests: 1 passed, 0 failed, 0 errored, 0 skipped, 0 filtered (0 ms)',
+                'Total: PASSED, 2 tests: 2 passed, 0 failed, 0 errored, 0 skipped, 0 filtered, 0 assertions'
+            ],                                                                          'suites & summary');
+            mut.assertEquals(MUT.registry[0].reporter,  ownReporter,                    'own reporter restored');
+        } finally {
+            MUT.registry = saved;
+        }
+    });
+    mut.addTest('runAll() totals & suite selection', function () {
+        var saved = MUT.registry, parser, columns, ui, aggregate;
+        function quiet() { }
+        /**
+         * @param {object} options `MUT.runAll()` options
+         * @returns {string[]} names of the suites run
+         */
+        function suitesRun(options) {
+            var names = [];
+            options.cbOut = quiet;
+            aggregate = MUT.runAll(options);
+            for (var i = 0; i < aggregate.suites.length; i++) names.push(aggregate.suites[i].name);
+            return names;
+        }
+        MUT.registry = [];
+        try {
+            parser = newProbe({ name: 'files: parser', register: true });
+            parser.addTest('first', function () { parser.assertTrue(true); });
+            parser.addTest('second', function () { parser.assertTrue(true); });
+            columns = newProbe({ name: 'files: columns', register: true });
+            columns.addTest('width', function () { columns.assertEquals(100, 120); });
+            ui = newProbe({ name: 'ui', register: true });
+            ui.addTest('render', function () { }, { skip: true });
+
+            mut.assertDeepEquals(suitesRun({}),         ['files: parser', 'files: columns', 'ui'], 'all suites');
+            mut.assertDeepEquals(aggregate.totals,      { tests: 4, passed: 2, failed: 1, errored: 0, skipped: 1, filtered: 0, slow: 0, assertions: 3, assertionsPassed: 2, assertionsFailed: 1 }, 'totals');
+            mut.assertFalse(aggregate.success,                                          'success');
+            mut.assertDeepEquals(suitesRun({ suites: 'files' }), ['files: parser', 'files: columns'], 'substring');
+            mut.assertDeepEquals(suitesRun({ suites: /^ui$/ }), ['ui'],                 'RegExp');
+            mut.assertTrue(aggregate.success,                                           'success of the selection');
+            var global = /s:/g;
+            mut.assertDeepEquals(suitesRun({ suites: global }), ['files: parser', 'files: columns'], 'global RegExp');
+            mut.assertDeepEquals(suitesRun({ suites: global }), ['files: parser', 'files: columns'], 'global RegExp again');
+            suitesRun({ suites: 'parser', filter: 'first' });
+            mut.assertEquals(aggregate.totals.filtered, 1,                              'filter');
+        } finally {
+            MUT.registry = saved;
+        }
+    });
+    mut.addTest('host detection', function () {
+        function output() { }
+        mut.assertEquals(MUT.detectHost({ DOpus: { output: output }, WScript: { Echo: output }, process: {}, console: {} }),
+            MUT.hosts.dopus,                                                            'DOpus first');
+        mut.assertEquals(MUT.detectHost({ WScript: { Echo: output }, process: {}, console: {} }), MUT.hosts.wsh, 'WScript');
+        mut.assertEquals(MUT.detectHost({ process: {}, console: {} }), MUT.hosts.node, 'Node.js');
+        mut.assertThrows(function () {
+            MUT.detectHost({ DOpus: {}, console: {} });
+        }, 'cannot detect the host environment, pass the host option',                 'unknown');
+        mut.assertEquals(MUT.createHost('wsh'),         MUT.hosts.wsh,                  'by name');
+        mut.assertThrows(function () {
+            MUT.createHost('browser');
+        }, 'unknown host: browser',                                                     'unknown name');
+        mut.assertEquals(MUT.hosts.dopus.reporter,      'dopus',                        'dopus default reporter');
+        mut.assertEquals(MUT.hosts.node.reporter,       (typeof MUT_REPORTER === 'string' && MUT_REPORTER) || 'text', 'node default reporter');
+    });
+    // the hosts write via globals, so these run only where the global can be replaced
+    mut.addTest('dopus host output', function () {
+        MUTFakes.install();
+        try {
+            var probe = newProbe({ host: 'dopus', reporter: 'dopus', cbOut: null });
+            probe.addTest('passes', function () { });
+            probe.run();
+            mut.assertEquals(MUTFakes.output[0],        '<b><font color="#cccccc">Suite: probe</font></b>', 'colored line');
+            mut.assertLength(probe.lines,               0,                              'not via cbOut');
+        } finally {
+            MUTFakes.reset();
+        }
+    }, { skip: typeof MUTFakes === 'undefined' });
+    mut.addTest('wsh host output', function () {
+        var root = (function () { return this; })();
+        var echo = mut.spy();
+        root.WScript = { Echo: echo };
+        try {
+            var probe = newProbe({ host: 'wsh', cbOut: null });
+            probe.addTest('passes', function () { });
+            probe.run();
+        } finally {
+            delete root.WScript;
+        }
+        mut.assertCalledWith(echo,                      ['Suite: probe'],               'echoed');
+    }, { skip: typeof WScript !== 'undefined' });
+    mut.addTest('node host output', function () {
+        var probe = newProbe({ host: 'node', cbOut: null });
+        var log = mut.stub(console, 'log');
+        probe.addTest('passes', function () { });
+        try {
+            probe.run();
+        } finally {
+            log.restore();
+        }
+        mut.assertCalledWith(log,                       ['Suite: probe'],               'logged');
+    }, { skip: typeof console === 'undefined' || typeof console.log !== 'function' });
+    /**
+     * @param {object=} options `newProbe()` options
+     * @returns {MUT} a probe with the tests `parse`, `io > read` (tag fs) & `io > write` (tags fs & slow)
+     */
+    function newFilterProbe(options) {
+        var probe = newProbe(options);
+        probe.addTest('parse', function () { });
+        probe.group('io', function () {
+            probe.addTest('read', function () { }, { tags: ['fs'] });
+            probe.addTest('write', function () { }, { tags: ['fs', 'slow'] });
+        });
+        return probe;
+    }
+    /**
+     * @param {MUTResults} results
+     * @returns {string[]} `fullName: status` per test
+     */
+    function statuses(results) {
+        var out = [];
+        for (var i = 0; i < results.tests.length; i++) out.push(results.tests[i].fullName + ': ' + results.tests[i].status);
+        return out;
+    }
+    mut.addTestCases('run() filter: %s', {
+        'name substring':                               ['io >',                            ['parse: filtered', 'io > read: passed', 'io > write: passed']],
+        'name RegExp':                                  [/^io > w/,                         ['parse: filtered', 'io > read: filtered', 'io > write: passed']],
+        'global RegExp':                                [/^io/g,                            ['parse: filtered', 'io > read: passed', 'io > write: passed']],
+        'tags':                                         [{ tags: ['fs'] },                  ['parse: filtered', 'io > read: passed', 'io > write: passed']],
+        'excludeTags':                                  [{ excludeTags: ['slow'] },         ['parse: passed', 'io > read: passed', 'io > write: filtered']],
+        'tags & excludeTags':                           [{ tags: ['fs'], excludeTags: ['slow'] }, ['parse: filtered', 'io > read: passed', 'io > write: filtered']]
+    }, function (filter, exp) {
+        mut.assertDeepEquals(statuses(newFilterProbe().run(filter)), exp, 'statuses');
+    });
+    mut.addTest('skip & only', function () {
+        var probe = newFilterProbe();
+        probe.addTest('skipped', function () { }, { skip: true });
+        probe.addTest('only', function () { }, { only: true });
+        probe.addTest('only but skipped', function () { }, { only: true, skip: true });
+        var results = probe.run();
+        mut.assertDeepEquals(statuses(results), [
+            'parse: filtered', 'io > read: filtered', 'io > write: filtered',
+            'skipped: filtered', 'only: passed', 'only but skipped: skipped'
+        ],                                                                              'statuses');
+        mut.assertEquals(results.totals.filtered,       4,                              'filtered total');
+        mut.assertEquals(results.totals.skipped,        1,                              'skipped total');
+        mut.assertTrue(results.success,                                                 'success');
+    });
+    mut.addTest('test context', function (ctx) {
+        ctx.items.push(1);
+        mut.assertDeepEquals(ctx.items,                 [1],                            'context from setup');
+    });
+    mut.addTest('assertEquals() calls', function () {
+        mut.assertEquals(undefined,                         undefined,                      'assertEquals undefined');
+        mut.assertEquals(null,                              null,                           'assertEquals null');
+        mut.assertEquals(0,                                 0,                              'assertEquals number');
+        mut.assertEquals(true,                              true,                           'assertEquals boolean');
+        mut.assertEquals([].length,                         [].length,                      'assertEquals null array lengths');
+        mut.assertEquals(JSON.stringify({}),                JSON.stringify({}),             'assertEquals null object stringfied');
+        mut.assertEquals(new Date(2024, 0, 1).getTime(),    new Date(2024, 0, 1).getTime(), 'assertEquals Date');
+        mut.assertEquals(new RegExp(/ab+c/).toString(),     new RegExp(/ab+c/).toString(),  'assertEquals RegExp');
+    });
+    mut.addTest('assertNotEquals() calls', function () {
+        mut.assertNotEquals(undefined,                      null,                           'assertNotEquals undefined');
+        mut.assertNotEquals(null,                           undefined,                      'assertNotEquals null');
+        mut.assertNotEquals(NaN,                            NaN,                            'assertNotEquals NaN'); // NaNs in JS are never equal
+        mut.assertNotEquals(NaN,                            Infinity,                       'assertNotEquals NaN');
+        mut.assertNotEquals(0,                              1,                              'assertNotEquals number');
+        mut.assertNotEquals(true,                           false,                          'assertNotEquals boolean');
+        mut.assertNotEquals('Hello',                        'World',                        'assertNotEquals string');
+        mut.assertNotEquals([],                             [],                             'assertNotEquals null array');
+        mut.assertNotEquals({},                             {},                             'assertNotEquals null object');
+        mut.assertNotEquals([],                             [1],                            'assertNotEquals null array');
+        mut.assertNotEquals({},                             { a: 1 },                       'assertNotEquals null object');
+        mut.assertNotEquals(new Date(2024, 1, 2).getTime(), new Date(2024, 3, 4).getTime(), 'assertNotEquals Date');
+        mut.assertNotEquals(new RegExp(/ab+c/).toString(),  new RegExp(/ab+c/i).toString(), 'assertNotEquals RegExp');
+    });
+    mut.addTest('assertTrue() & co. calls', function () {
+        mut.assertTrue(1 < 2,                           'assertTrue');
+        mut.assertFalse(1 > 2,                          'assertFalse');
+        mut.assertTruthy('0',                           'assertTruthy');
+        mut.assertFalsy('',                             'assertFalsy');
+        mut.assertDefined(null,                         'assertDefined');
+        mut.assertUndefined(void 0,                     'assertUndefined');
+        mut.assertNull(null,                            'assertNull');
+        mut.assertNotNull(undefined,                    'assertNotNull');
+    });
+    mut.addTest('assertMatch() & assertContains() calls', function () {
+        mut.assertMatch('movie.mkv',                    /\.mkv$/i,                      'assertMatch');
+        mut.assertNotMatch('movie.mkv',                 /\.mp4$/i,                      'assertNotMatch');
+        var global = /mkv/g;
+        mut.assertMatch('movie.mkv',                    global,                         'assertMatch global RegExp');
+        mut.assertMatch('movie.mkv',                    global,                         'assertMatch global RegExp again');
+        mut.expect('movie.mkv').toMatch(global,         'expect toMatch global RegExp');
+        mut.assertContains('Hello World',               'World',                        'assertContains string');
+        mut.assertContains([1, 2, 3],                   2,                              'assertContains array');
+        mut.assertContains({ width: 100 },              'width',                        'assertContains object key');
+        mut.assertNotContains([1, 2, 3],                '2',                            'assertNotContains array');
+        mut.assertLength([1, 2, 3],                     3,                              'assertLength array');
+        mut.assertLength('',                            0,                              'assertLength string');
+        mut.assertInstanceOf(new TypeError(),           Error,                          'assertInstanceOf');
+    });
+    mut.addTest('assertTrue() & co. failure messages', function () {
+        var probe = newProbe();
+        probe.assertTrue(1);
+        probe.assertFalse(0);
+        probe.assertTruthy('');
+        probe.assertFalsy('0');
+        probe.assertDefined(undefined);
+        probe.assertUndefined(null);
+        probe.assertNull(undefined);
+        probe.assertNotNull(null);
+        probe.assertMatch('movie.mp4',                  /\.mkv$/);
+        probe.assertMatch(42,                           /42/,                           'non-string');
+        probe.assertNotMatch('movie.mkv',               /\.mkv$/);
+        probe.assertContains('Hello',                   'World',                        'string');
+        probe.assertContains([1, 2],                    '2',                            'array');
+        probe.assertContains({ width: 100 },            'height',                       'object key');
+        probe.assertNotContains([1, 2],                 2);
+        probe.assertLength([1, 2],                      3);
+        probe.assertInstanceOf({},                      Error);
+        probe.assertCloseTo(0.3,                        0.2,                            0.01);
+        probe.assertGreaterThan(1,                      1);
+        probe.assertLessThan('b',                       'a');
+        mut.assertDeepEquals(probe.lines, [
+            'probe: assertTrue err - act=1, exp=true',
+            'probe: assertFalse err - act=0, exp=false',
+            'probe: assertTruthy err - act=\'\', exp=truthy',
+            'probe: assertFalsy err - act=\'0\', exp=falsy',
+            'probe: assertDefined err - act=undefined, exp!=undefined',
+            'probe: assertUndefined err - act=null, exp=undefined',
+            'probe: assertNull err - act=undefined, exp=null',
+            'probe: assertNotNull err - act=null, exp!=null',
+            'probe: assertMatch err - act=\'movie.mp4\', exp to match /\\.mkv$/',
+            'probe: non-string -- assertMatch err - act=42, exp to match /42/',
+            'probe: assertNotMatch err - act=\'movie.mkv\', exp not to match /\\.mkv$/',
+            'probe: string -- assertContains err - act=\'Hello\', exp to contain \'World\'',
+            'probe: array -- assertContains err - act=[1, 2], exp to contain \'2\'',
+            'probe: object key -- assertContains err - act={width: 100}, exp to contain \'height\'',
+            'probe: assertNotContains err - act=[1, 2], exp not to contain 2',
+            'probe: assertLength err - act=2, exp=3',
+            'probe: assertInstanceOf err - act={}, exp instance of Error',
+            'probe: assertCloseTo err - act=0.3, exp=0.2+/-0.01',
+            'probe: assertGreaterThan err - act=1, exp>1',
+            'probe: assertLessThan err - act=\'b\', exp<\'a\''
+        ],                                                                              'failure messages');
+    });
+    mut.addTest('numeric assertion calls', function () {
+        mut.assertCloseTo(0.1 + 0.2,                    0.3,                            undefined,  'assertCloseTo default epsilon');
+        mut.assertCloseTo(Math.PI,                      3.14,                           0.01,       'assertCloseTo');
+        mut.assertGreaterThan(2,                        1,                              'assertGreaterThan');
+        mut.assertLessThan('a',                         'b',                            'assertLessThan');
+    });
+    mut.addTest('expect() calls', function () {
+        mut.expect(1).toBe(1,                           'expect toBe');
+        mut.expect(1).not.toBe('1',                     'expect not toBe');
+        mut.expect({ a: [1] }).toEqual({ a: [1] },      'expect toEqual');
+        mut.expect('Hello').toBeTypeOf('string',        'expect toBeTypeOf').toMatch(/^H/, 'expect chained toMatch');
+        mut.expect([1, 2]).toContain(2,                 'expect toContain').not.toContain(3, 'expect chained not toContain');
+        mut.expect(function () { null.x; }).toThrow(TypeError, 'expect toThrow');
+        mut.expect(function () { }).not.toThrow('expect not toThrow');
+    });
+    mut.addTest('expect() failure messages', function () {
+        var probe = newProbe();
+        probe.expect(1).toBe(2,                         'toBe');
+        probe.expect(function () { throw new Error('boom'); }).not.toThrow('not toThrow');
+        mut.assertDeepEquals(probe.lines, [
+            'probe: toBe -- assertEquals err - act=1, exp=2',
+            'probe: not toThrow -- assertDoesNotThrow err - threw=Error: boom'
+        ],                                                                              'failure messages');
+    });
+    mut.addTest('assertDeepEquals() calls', function () {
+        var cyclic1 = { a: 1 }, cyclic2 = { a: 1 };
+        cyclic1.self = cyclic1;
+        cyclic2.self = cyclic2;
+        mut.assertDeepEquals(NaN,                           NaN,                            'assertDeepEquals NaN');
+        mut.assertDeepEquals([],                            [],                             'assertDeepEquals null array');
+        mut.assertDeepEquals({},                            {},                             'assertDeepEquals null object');
+        mut.assertDeepEquals([1, [2, { b: 3 }]],            [1, [2, { b: 3 }]],             'assertDeepEquals nested array');
+        mut.assertDeepEquals({ a: { b: [1, 2] } },          { a: { b: [1, 2] } },           'assertDeepEquals nested object');
+        mut.assertDeepEquals(new Date(2024, 0, 1),          new Date(2024, 0, 1),           'assertDeepEquals Date');
+        mut.assertDeepEquals(new RegExp(/ab+c/),            new RegExp(/ab+c/),             'assertDeepEquals RegExp');
+        mut.assertDeepEquals(cyclic1,                       cyclic2,                        'assertDeepEquals cyclic');
+    });
+    mut.addTest('assertNotDeepEquals() calls', function () {
+        mut.assertNotDeepEquals([1, 2],                     [1, 2, 3],                      'assertNotDeepEquals array length');
+        mut.assertNotDeepEquals({ a: 1 },                   { a: 1, b: undefined },         'assertNotDeepEquals missing key');
+        mut.assertNotDeepEquals({ a: [{ b: 1 }] },          { a: [{ b: 2 }] },              'assertNotDeepEquals nested');
+        mut.assertNotDeepEquals([],                         {},                             'assertNotDeepEquals array vs object');
+        mut.assertNotDeepEquals(new Date(2024, 1, 2),       new Date(2024, 3, 4),           'assertNotDeepEquals Date');
+        mut.assertNotDeepEquals(new RegExp(/ab+c/),         new RegExp(/ab+c/i),            'assertNotDeepEquals RegExp');
+        mut.assertNotDeepEquals(0,                          '0',                            'assertNotDeepEquals number vs string');
+        mut.assertNotDeepEquals(new Number(1),              new Number(2),                  'assertNotDeepEquals boxed Number');
+        mut.assertNotDeepEquals(new String('a'),            new String('b'),                'assertNotDeepEquals boxed String');
+        mut.assertNotDeepEquals(new Foo(),                  { a: 1 },                       'assertNotDeepEquals constructor');
+        mut.assertNotDeepEquals(new Error('a'),             new Error('b'),                 'assertNotDeepEquals Error message');
+        mut.assertDeepEquals(new Number(1),                 new Number(1),                  'assertDeepEquals boxed Number');
+        mut.assertDeepEquals(new Error('a'),                new Error('a'),                 'assertDeepEquals Error');
+        mut.assertDeepEquals(new Foo(),                     new Foo(),                      'assertDeepEquals same constructor');
+        function Foo() { this.a = 1; }
+    });
+    var cyclic = { name: 'a' }, shared = [1];
+    cyclic.self = cyclic;
+    mut.addTestCases('MUT.inspect(): %s', {
+        'cycle':                                        [cyclic,                            {},                         '{name: \'a\', self: [Circular]}'],
+        'repeated reference':                           [{ a: shared, b: shared },          {},                         '{a: [1], b: [1]}'],
+        'default depth':                                [{ a: { b: { c: { d: 1 } } } },     {},                         '{a: {b: {c: [Object]}}}'],
+        'depth':                                        [[{ a: 1 }, [2, 3]],                { depth: 1 },               '[[Object], [Array(2)]]'],
+        'maxLength items':                              [[1, 2, 3],                         { maxLength: 2 },           '[1, 2, ... 1 more items]'],
+        'maxLength keys':                               [{ a: 1, b: 2, c: 3 },              { maxLength: 2 },           '{a: 1, b: 2, ... 1 more keys}'],
+        'maxStringLength':                              ['abcdef',                          { maxStringLength: 3 },     '\'abc\'... (6 chars)'],
+        'sortKeys':                                     [{ b: 1, a: 2 },                    { sortKeys: true },         '{a: 2, b: 1}']
+    }, function (value, options, exp) {
+        mut.assertEquals(MUT.inspect(value, options),   exp,                            'inspect');
+    });
+    mut.addTest('MUT.stringDiff()', function () {
+        var act = 'the quick brown fox jumps over the lazy dog, twice!';
+        mut.assertEquals(MUT.stringDiff(act, act.replace('lazy', 'busy')),
+            ' -- first difference at index 35: ...\'jumps over the lazy dog, twice\'... vs ...\'jumps over the busy dog, twice\'...', 'excerpt');
+        mut.assertEquals(MUT.stringDiff('short', 'shirt'), '',                          'short strings');
+        mut.assertEquals(MUT.stringDiff(act, act),      '',                             'equal strings');
+    });
+    mut.addTest('assertDeepEquals() failure messages', function () {
+        var probe = newProbe();
+        probe.assertDeepEquals({ columns: [{ width: 100 }] }, { columns: [{ width: 120 }] }, 'columns');
+        probe.assertDeepEquals([1, 2], [1, 2, 3]);
+        probe.assertDeepEquals(new Foo(), { a: 1 });
+        probe.assertDeepEquals({ error: new Error('a') }, { error: new Error('b') });
+        mut.assertDeepEquals(probe.lines, [
+            'probe: columns -- assertDeepEquals err - columns[0].width: act=100, exp=120',
+            'probe: assertDeepEquals err - length: act=2, exp=3',
+            'probe: assertDeepEquals err - constructor: act=[Function Foo], exp=[Function Object]',
+            'probe: assertDeepEquals err - error.message: act=\'a\', exp=\'b\''
+        ],                                                                                  'failure messages');
+        function Foo() { this.a = 1; }
+    });
+    mut.addTest('assertThrows() calls', function () {
+        function thrower() { throw new TypeError('bad input'); }
+        mut.assertThrows(thrower,                           undefined,                      'assertThrows anything');
+        mut.assertThrows(thrower,                           'bad input',                    'assertThrows message');
+        mut.assertThrows(thrower,                           /^bad/,                         'assertThrows RegExp');
+        var global = /bad/g;
+        mut.assertThrows(thrower,                           global,                         'assertThrows global RegExp');
+        mut.assertThrows(thrower,                           global,                         'assertThrows global RegExp again');
+        mut.assertThrows(thrower,                           TypeError,                      'assertThrows constructor');
+        mut.assertThrows(thrower,                           Error,                          'assertThrows base constructor');
+        mut.assertThrows(function () { throw 'str'; },      function (e) { return e === 'str'; }, 'assertThrows predicate');
+        mut.assertThrows(function () { new MUT(); },        'parameters must be passed as an object', 'assertThrows MUT constructor');
+    });
+    mut.addTest('assertThrows() failure messages', function () {
+        var probe = newProbe();
+        function thrower() { throw new TypeError('bad input'); }
+        probe.assertThrows(function () { },                 TypeError,                      'nothing');
+        probe.assertThrows(thrower,                         'other message');
+        probe.assertThrows(thrower,                         /^other/);
+        probe.assertThrows(thrower,                         RangeError);
+        probe.assertThrows(thrower,                         function isRange(e) { return e instanceof RangeError; });
+        mut.assertDeepEquals(probe.lines, [
+            'probe: nothing -- assertThrows err - nothing was thrown, exp=TypeError',
+            'probe: assertThrows err - threw=TypeError: bad input, exp=\'other message\'',
+            'probe: assertThrows err - threw=TypeError: bad input, exp=/^other/',
+            'probe: assertThrows err - threw=TypeError: bad input, exp=RangeError',
+            'probe: assertThrows err - threw=TypeError: bad input, exp=predicate isRange'
+        ],                                                                                  'failure messages');
+    });
+    mut.addTest('assertDoesNotThrow() calls', function () {
+        mut.assertDoesNotThrow(function () { return 1; },   'assertDoesNotThrow');
+        mut.assertEquals(mut.assertDoesNotThrow(function () { return 42; }), 42, 'assertDoesNotThrow return value');
+    });
+    mut.addTest('spy() & stub() calls', function () {
+        var logger = { prefix: '> ', log: function (s) { return this.prefix + s; } };
+        var spy = mut.spy(logger, 'log');
+        logger.log('hello');
+        mut.assertCalled(spy,                           'assertCalled');
+        mut.assertCalledTimes(spy,                      1,                              'assertCalledTimes');
+        mut.assertCalledWith(spy,                       ['hello'],                      'assertCalledWith');
+        mut.assertEquals(spy.calls[0].returnValue,      '> hello',                      'spy return value');
+        mut.assertEquals(spy.calls[0].thisValue,        logger,                         'spy this');
+        var stub = mut.stub(logger, 'log',              function () { return 'stubbed'; });
+        mut.assertEquals(logger.log('x'),               'stubbed',                      'stub return value');
+        mut.assertNotCalled(mut.spy(),                  'assertNotCalled');
+        mut.restoreAll();
+        mut.assertEquals(logger.log('x'),               '> x',                          'restored');
+        mut.assertCalledTimes(stub,                     1,                              'assertCalledTimes stub');
+    });
+    mut.group('group()', function () {
+        var fixture;
+        mut.beforeAll(function () {
+            fixture = { items: [] };
+        });
+        mut.afterAll(function () {
+            fixture = null;
+        });
+        mut.beforeEach(function () {
+            fixture.items.push('each');
+        });
+        mut.addTest('beforeAll & beforeEach', function () {
+            mut.assertDeepEquals(fixture.items,         ['each'],                       'group fixture');
+        });
+        mut.group('nested', function () {
+            mut.beforeEach(function () {
+                fixture.items.push('nested');
+            });
+            mut.addTest('outer to inner order', function () {
+                mut.assertDeepEquals(fixture.items,     ['each', 'each', 'nested'],     'nested group fixture');
+            });
+        });
+    });
+    mut.addTest('spies & stubs of beforeAll hooks', function () {
+        var probe = newProbe(), obj = { fn: function () { return 'original'; } }, seen = [];
+        probe.group('g', function () {
+            probe.beforeAll(function () {
+                probe.stub(obj, 'fn', function () { return 'group'; });
+            });
+            probe.afterAll(function () {
+                seen.push('afterAll ' + obj.fn());
+            });
+            probe.addTest('first', function () {
+                probe.stub(obj, 'fn', function () { return 'test'; });
+                seen.push('first ' + obj.fn());
+            });
+            probe.addTest('second', function () {
+                seen.push('second ' + obj.fn());
+            });
+        });
+        probe.addTest('outside', function () {
+            seen.push('outside ' + obj.fn());
+        });
+        probe.run();
+        mut.assertDeepEquals(seen, ['first test', 'second group', 'afterAll group', 'outside original'], 'calls');
+        mut.assertEquals(obj.fn(),                      'original',                     'restored');
+    });
+    mut.addTest('throwing & failing hooks', function () {
+        var probe = newProbe(), log = [];
+        function thrower(what) {
+            return function () { log.push(what); throw new Error(what); };
+        }
+        probe.group('setup', function () {
+            probe.beforeEach(thrower('setup'));
+            probe.addTest('test', function () { log.push('setup test'); });
+        });
+        probe.group('teardown', function () {
+            probe.afterEach(thrower('teardown'));
+            probe.addTest('test', function () { log.push('teardown test'); });
+        });
+        probe.group('beforeAll', function () {
+            probe.beforeAll(function () { log.push('open'); });
+            probe.beforeAll(thrower('beforeAll'));
+            probe.afterAll(function () { log.push('close'); });
+            probe.addTest('first', function () { log.push('beforeAll first'); });
+            probe.addTest('second', function () { log.push('beforeAll second'); });
+        });
+        probe.group('afterAll', function () {
+            probe.afterAll(thrower('afterAll'));
+            probe.addTest('test', function () { });
+        });
+        probe.group('afterAll assertion', function () {
+            probe.afterAll(function () { probe.assertEquals(1, 2); });
+            probe.addTest('test', function () { });
+        });
+        var results = probe.run(), errors = [];
+        for (var i = 0; i < results.tests.length; i++) errors.push(results.tests[i].error);
+        mut.assertDeepEquals(statuses(results), [
+            'setup > test: errored', 'teardown > test: errored', 'beforeAll > first: errored', 'beforeAll > second: errored',
+            'afterAll > test: passed', 'afterAll > afterAll: errored', 'afterAll assertion > test: passed', 'afterAll assertion > afterAll: failed'
+        ],                                                                              'statuses');
+        mut.assertDeepEquals(errors, [
+            'setup failed: Error: setup', 'teardown failed: Error: teardown', 'beforeAll failed: Error: beforeAll', 'beforeAll failed: Error: beforeAll',
+            null, 'afterAll failed: Error: afterAll', null, 'afterAll failed: 1 assertion(s) failed'
+        ],                                                                              'errors');
+        mut.assertDeepEquals(log, ['setup', 'teardown test', 'teardown', 'open', 'beforeAll', 'close', 'afterAll'], 'hooks run');
+        mut.assertEquals(results.totals.assertionsFailed, 1,                            'afterAll assertion counted');
+        mut.assertFalse(results.success,                                                'success');
+    });
+    // DOpus_MUT_Fakes.js, loaded by DOpus_MUT_Node.js
+    mut.group('MUTFakes', function () {
+        var noFakes = { skip: typeof MUTFakes === 'undefined' };
+        mut.beforeEach(function () {
+            MUTFakes.install({
+                config: { 'Debug': true },
+                aliases: { '/home': 'C:\\Users\\me' },
+                files: {
+                    'C:\\Users\\me\\movie.mkv': { size: 1024 },
+                    'C:\\Users\\me\\subs': { is_dir: true }
+                }
+            });
+        });
+        mut.afterEach(function () {
+            MUTFakes.reset();
+        });
+        mut.addTest('DOpus.output()', function () {
+            DOpus.output('hello');
+            mut.assertDeepEquals(MUTFakes.output,       ['hello'],                      'captured');
+        }, noFakes);
+        mut.addTest('Map', function () {
+            var map = DOpus.Create().Map(), keys = [];
+            map.set('b', 2);
+            map.set('a', 1);
+            mut.assertEquals(map('a'),                  1,                              'map(key)');
+            mut.assertEquals(map.get('b'),              2,                              'get');
+            mut.assertUndefined(map('c'),                                               'missing key');
+            mut.assertTrue(map.exists('a'),                                             'exists');
+            mut.assertEquals(map.count,                 2,                              'count');
+            for (var e = new Enumerator(map); !e.atEnd(); e.moveNext()) keys.push(e.item());
+            mut.assertDeepEquals(keys,                  ['a', 'b'],                     'sorted keys');
+            map.erase('a');
+            mut.assertFalse(map.exists('a'),                                            'erase');
+            var other = DOpus.Create.Map();
+            other.set('c', 3);
+            map.merge(other);
+            mut.assertEquals(map.count,                 2,                              'merge');
+            map.assign(other);
+            mut.assertEquals(map.count,                 1,                              'assign');
+            map.clear();
+            mut.assertTrue(map.empty,                                                   'clear & empty');
+        }, noFakes);
+        mut.addTest('Vector', function () {
+            var vec = DOpus.Create().Vector(1, 2), items = [];
+            vec.push_back(4);
+            vec.insert(2, 3);
+            mut.assertEquals(vec(0),                    1,                              'vec(i)');
+            mut.assertEquals(vec[2],                    3,                              'vec[i]');
+            mut.assertEquals(vec.count,                 4,                              'count');
+            mut.assertEquals(vec.front(),               1,                              'front');
+            mut.assertEquals(vec.back(),                4,                              'back');
+            for (var e = new Enumerator(vec); !e.atEnd(); e.moveNext()) items.push(e.item());
+            mut.assertDeepEquals(items,                 [1, 2, 3, 4],                   'enumerated');
+            vec.erase(0);
+            vec.pop_back();
+            mut.assertEquals(vec(0),                    2,                              'erase & pop_back');
+            mut.assertUndefined(vec[2],                                                 'no stale index');
+            vec.assign([5, 6]);
+            mut.assertEquals(vec(1),                    6,                              'assign array');
+            vec.clear();
+            mut.assertTrue(vec.empty,                                                   'clear & empty');
+        }, noFakes);
+        mut.addTest('FSUtil', function () {
+            var fsu = DOpus.FSUtil;
+            mut.assertTrue(fsu.Exists('C:\\Users\\me\\movie.mkv', 'f'),           'file exists');
+            mut.assertFalse(fsu.Exists('C:\\Users\\me\\movie.mkv', 'd'),          'not a folder');
+            mut.assertTrue(fsu.Exists('c:/users/me/SUBS/', 'd'),                        'case & separator insensitive');
+            mut.assertTrue(fsu.Exists('C:\\Users', 'd'),                              'implicit parent folder');
+            mut.assertEquals(fsu.Resolve('/home\\movie.mkv'), 'C:\\Users\\me\\movie.mkv', 'Resolve alias');
+            var item = fsu.GetItem('/home\\movie.mkv');
+            mut.assertEquals(item.name,                 'movie.mkv',                    'name');
+            mut.assertEquals(item.name_stem,            'movie',                        'name_stem');
+            mut.assertEquals(item.ext,                  '.mkv',                         'ext');
+            mut.assertEquals(item.path,                 'C:\\Users\\me',            'path');
+            mut.assertEquals(item.size,                 1024,                           'size');
+            mut.assertEquals(String(item),              'C:\\Users\\me\\movie.mkv', 'realpath');
+            mut.assertFalse(fsu.GetItem('C:\\missing.txt').exists,                    'missing item');
+            MUTFakes.addFile('C:\\Temp\\a.txt', { size: 1 });
+            MUTFakes.addFolder('C:\\Temp\\sub');
+            mut.assertTrue(fsu.Exists('C:\\Temp\\a.txt', 'f'),                      'addFile');
+            mut.assertTrue(fsu.Exists('C:\\Temp\\sub', 'd'),                       'addFolder');
+        }, noFakes);
+        mut.addTest('Script.config & Script.vars', function () {
+            mut.assertEquals(Script.config.Debug,       true,                           'config');
+            Script.vars.Set('count', 1);
+            Script.vars.Set('count', 2);
+            Script.vars.Set('cache_a', 'a');
+            Script.vars.Set('cache_b', 'b');
+            mut.assertEquals(Script.vars.Get('count'),  2,                              'Get');
+            mut.assertEquals(Script.vars('count').value, 2,                             'vars(name).value');
+            mut.assertTrue(Script.vars.Exists('count'),                                 'Exists');
+            mut.assertEquals(Script.vars.count,         3,                              'count');
+            Script.vars.Delete('cache_*');
+            mut.assertFalse(Script.vars.Exists('cache_a'),                              'Delete wildcard');
+            mut.assertTrue(Script.vars.Exists('count'),                                 'Delete keeps others');
+            mut.assertEquals(new Enumerator(Script.vars).item().name, 'count',         'enumerates Var objects');
+        }, noFakes);
+        mut.addTest('reset() restores the globals', function () {
+            var fake = DOpus;
+            MUTFakes.reset();
+            mut.assertNotEquals(typeof DOpus !== 'undefined' ? DOpus : undefined, fake, 'DOpus restored');
+            mut.assertLength(MUTFakes.output,           0,                              'output cleared');
+        }, noFakes);
+    });
+    mut.addTest('forAll() calls', function () {
+        function fileName(path) {
+            return path.slice(Math.max(path.lastIndexOf('\\'), path.lastIndexOf('/')) + 1);
+        }
+        function fileNameBackslashOnly(path) {
+            return path.slice(path.lastIndexOf('\\') + 1);
+        }
+        // the name is the path's last segment: without separators, and the path ends with it
+        function nameIsLastSegment(getName) {
+            return function (path) {
+                var name = getName(path);
+                return name.search(/[\\\/]/) === -1 && path.slice(path.length - name.length) === name;
+            };
+        }
+        mut.forAll([MUT.gen.path()], nameIsLastSegment(fileName), { runs: 50 });
+        mut.forAll([MUT.gen.int(), MUT.gen.int()], function (a, b) {
+            mut.assertEquals(a + b, b + a,              'commutative');
+        });
+        var inner = new MUT({ name: 'inner', cbOut: function () { }, abortOnErrors: false });
+        var result = inner.forAll([MUT.gen.int(0, 1000)], function (n) {
+            return n < 100;
+        }, { seed: 42 });
+        mut.assertDeepEquals(result.counterexample, [100], 'minimal counterexample');
+        mut.assertEquals(result.seed, 42,               'seed to replay');
+        result = inner.forAll([MUT.gen.path()], nameIsLastSegment(fileNameBackslashOnly), { seed: 42 });
+        mut.assertFalse(result.success,                                                 'path property falsified');
+        mut.assertMatch(result.counterexample[0],       /\//,                           'counterexample with a slash');
+    });
+    mut.addTest('captureOutput() calls', function () {
+        var lines = mut.captureOutput(function () {
+            mut.host.output('renamed 2 files');
+            mut.assertTrue(true,                        'own output is not captured');
+        });
+        mut.assertDeepEquals(lines, ['renamed 2 files'], 'captured lines');
+        mut.assertOutputContains(lines, '2 files',      'assertOutputContains lines');
+        mut.assertOutputMatches(function () {
+            mut.host.output('took 15 ms');
+        }, /took \d+ ms/,                               'assertOutputMatches function');
+    });
+    mut.addTest('captureOutput() passes own output through', function () {
+        var probe = newProbe({ cbOut: null });
+        var lines = probe.captureOutput(function () {
+            probe.host.output('renamed 2 files');
+            probe.assertTrue(true,                      'own');
+        });
+        mut.assertDeepEquals(lines,                     ['renamed 2 files'],            'captured lines');
+        mut.assertDeepEquals(probe.lines,               ['probe: own -- assertTrue ok - act=true, exp=true'], 'own output');
+    });
+    mut.addTest('captureOutput() restores the output if fn throws', function () {
+        var probe = newProbe({ cbOut: null }), hostOutput = probe.host.output;
+        mut.assertThrows(function () {
+            probe.captureOutput(function () {
+                throw new Error('boom');
+            });
+        }, 'boom',                                                                      'rethrown');
+        mut.assertEquals(probe.host.output,             hostOutput,                     'host output restored');
+        probe.host.output('after');
+        mut.assertDeepEquals(probe.lines,               ['after'],                      'output after');
+    });
+    mut.addTest('benchmark() calls', function () {
+        var stats = mut.benchmark('join', function (i) {
+            [i, i + 1, i + 2].join(', ');
+        }, 500);
+        mut.assertEquals(stats.iterations, 500,         'iterations');
+        mut.assertEquals(stats.opsPerSec, stats.total > 0 ? 500000 / stats.total : null, 'ops/sec');
+        mut.assertTrue(stats.min <= stats.max,          'min <= max');
+    }, { maxDuration: 5000 });
+    mut.addTest('MUT.formatBenchmark()', function () {
+        var stats = { name: 'join', iterations: 500, total: 0, mean: 0, min: 0, max: 0, opsPerSec: null };
+        mut.assertEquals(MUT.formatBenchmark(stats),
+            'benchmark join            500 x  mean   0.0000 ms  min   0 ms  max   0 ms          n/a ops/sec', 'below the timer resolution');
+        stats.total = 2;
+        stats.opsPerSec = 250000;
+        mut.assertEquals(MUT.formatBenchmark(stats),
+            'benchmark join            500 x  mean   0.0000 ms  min   0 ms  max   0 ms     250000.0 ops/sec', 'ops/sec');
+    });
+    /**
+     * @param {number} ms
+     */
+    function busyWait(ms) {
+        var end = new Date().getTime() + ms;
+        while (new Date().getTime() <= end) { }
+    }
+    mut.addTest('maxDuration & slowThreshold', function () {
+        var probe = newProbe({ slowThreshold: 20 });
+        probe.addTest('fast', function () { });
+        probe.addTest('slow', function () { busyWait(20); });
+        probe.addTest('too slow', function () { busyWait(20); }, { maxDuration: 10 });
+        var results = probe.run();
+        mut.assertDeepEquals(statuses(results),         ['fast: passed', 'slow: passed', 'too slow: failed'], 'statuses');
+        mut.assertFalse(results.tests[0].slow,                                          'fast');
+        mut.assertTrue(results.tests[1].slow,                                           'slow');
+        mut.assertEquals(results.totals.slow,           2,                              'slow total');
+        mut.assertMatch(results.tests[2].error,         /^took \d+ ms, over the maxDuration of 10 ms$/, 'maxDuration error');
+    });
+    mut.addTest('assertMatchesSnapshot() calls', function () {
+        var store = new MUT.MemorySnapshotStore();
+        var snapshots = new MUT({ name: 'snapshots', cbOut: function () { }, snapshotStore: store, updateSnapshots: true });
+        snapshots.addTest('columns', function () {
+            snapshots.assertMatchesSnapshot({ width: 100, name: 'Size' }, 'definition');
+        });
+        snapshots.run();
+        mut.assertEquals(store.get('snapshots > columns > definition'), '{name: \'Size\', width: 100}', 'snapshot written');
+        snapshots.updateSnapshots = false;
+        mut.assertTrue(snapshots.run().success,         'snapshot matches');
+    });
+    mut.addTest('assertMatchesSnapshot() failure messages', function () {
+        var probe = newProbe({ snapshotStore: new MUT.MemorySnapshotStore() });
+        probe.snapshotStore.set('probe > columns > definition', '{name: \'Size\', width: 120}');
+        probe.addTest('columns', function () {
+            probe.assertMatchesSnapshot({ width: 100, name: 'Size' }, 'definition');
+            probe.assertMatchesSnapshot([1], 'missing');
+        });
+        probe.run();
+        mut.assertEquals(probe.getResults().tests[0].assertions[0].msg,
+            'assertMatchesSnapshot err - definition: act={name: \'Size\', width: 100}, exp={name: \'Size\', width: 120}', 'mismatch');
+        mut.assertEquals(probe.getResults().tests[0].assertions[1].msg,
+            'assertMatchesSnapshot err - missing: no snapshot stored, act=[1]', 'missing');
+    });
+    mut.addTest('JSONFileSnapshotStore reads files with a BOM', function () {
+        var fs = require('fs'), path = require('os').tmpdir() + '/DOpus_MUT_bom_' + new Date().getTime() + '.json';
+        fs.writeFileSync(path, '\uFEFF{"suite > test > key": "[1]"}', 'utf8');
+        try {
+            mut.assertEquals(new MUT.JSONFileSnapshotStore(path, MUT.hosts.node).get('suite > test > key'), '[1]', 'snapshot');
+        } finally {
+            fs.unlinkSync(path);
+        }
+    }, { skip: typeof require === 'undefined' });
+    mut.addTest('assertTypeofEquals', function () {
+        mut.assertTypeofEquals(undefined,                   'undefined',                    'assertTypeofEquals undefined');
+        mut.assertTypeofEquals(null,                        'object',                       'assertTypeofEquals null');
+        mut.assertTypeofEquals(NaN,                         'number',                       'assertTypeofEquals NaN');
+        mut.assertTypeofEquals(Infinity,                    'number',                       'assertTypeofEquals NaN');
+        mut.assertTypeofEquals(0,                           'number',                       'assertTypeofEquals number');
+        mut.assertTypeofEquals(true,                        'boolean',                      'assertTypeofEquals boolean');
+        mut.assertTypeofEquals('Hello',                     'string',                       'assertTypeofEquals string');
+        mut.assertTypeofEquals([],                          'object',                       'assertTypeofEquals null array');
+        mut.assertTypeofEquals({},                          'object',                       'assertTypeofEquals null object');
+        mut.assertTypeofEquals(function() {},               'function',                     'assertTypeofEquals function');
+    });
+    mut.addTest('assertTypeofNotEquals', function() {
+        mut.assertTypeofNotEquals(function () { }, 'boolean', 'assertTypeofNotEquals function');
+        // mut.flush();
+    });
+    mut.addTestCases('typeof %s is %s', [
+        [undefined,                                     'undefined'],
+        [null,                                          'object'],
+        [NaN,                                           'number'],
+        ['Hello',                                       'string'],
+        [true,                                          'boolean']
+    ], function (value, type) {
+        mut.assertTypeofEquals(value, type, 'addTestCases array');
+    });
+    mut.addTestCases('%s', {
+        'empty string is falsy':                        ['',        false],
+        'zero string is truthy':                        ['0',       true]
+    }, function (value, exp) {
+        mut.assertEquals(!!value, exp, 'addTestCases object');
+    });
+
+    mut.addTest('Manual flush', function() {
+        mut.autoFlush = false;
+        mut.assertEquals(1, 1, 'number comparison');
+        mut.assertNotEquals('Hello', 'hello', 'case-sensitive comparison');
+        mut.assertTypeofEquals([], 'object', 'typeof array');
+        // mut.flush();
+    });
+
+    // if you want to collect the messages first so you can filter them out with own logic
+    // set both autoFlush & skipSuccess to FALSE, and pass a null function as callback
+    // and do NOT call flush in any of the addTest() methods
+    // e.g.
+    var mut2 = new MUT({
+        name: 'custom collect',
+        abortOnErrors: true,
+        autoFlush: false,
+        skipSuccess: false,
+        reporter: 'text',
+        cbOut: function () { }
+    });
+    mut2.addTest('my test', function () {
+        mut2.assertEquals(1, 1, 'my msg');
+    });
+    mut.addTest('collected messages', function () {
+        mut2.run();
+        mut.assertDeepEquals(mut2.getMessages(), [
+            { status: true, msg: 'custom collect: my msg -- assertEquals ok - act=1, exp=1' }
+        ],                                                                              'mut2 messages');
+    });
+
+    // the bundled sprintf, which all assertion messages depend on
+    var sprintfTests = new MUT({
+        name: 'sprintf',
+        register: true
+    });
+    sprintfTests.addTestCases('%s', {
+        'space padding':                                ['%4d',                 [3],                    '   3'],
+        'zero padding':                                 ['%04d',                [3],                    '0003'],
+        'left-justified':                               ['%-3s|',               ['b'],                  'b  |'],
+        'truncation':                                   ['%-5.3s|',             ['catfish'],            'cat  |'],
+        'positive prefix':                              ['%+d',                 [3],                    '+3'],
+        'hex prefix & padding':                         ['%#06x',               [13],                   '0x000d'],
+        'binary prefix':                                ['%#b',                 [13],                   '0b1101'],
+        '* width':                                      ['%*d|',                [5, 3],                 '    3|'],
+        'negative * width':                             ['%*d|',                [-5, 3],                '3    |'],
+        '* precision':                                  ['%.*f',                [2, 3.14159],           '3.14'],
+        'out-of-order':                                 ['%2$d of %1$d',        [10, 3],                '3 of 10'],
+        'out-of-order * width':                         ['%2$*1$d|',            [4, 7],                 '   7|'],
+        '%p without over-claiming':                     ['%.3p',                ['2.1'],                '2.1'],
+        '%p with trailing zeroes':                      ['%.3p',                ['2.100'],              '2.10'],
+        '%g':                                           ['%.3g',                [2.1],                  '2.10'],
+        'uppercase':                                    ['%X %E',               [255, 2.5],             'FF 2.500000E+0'],
+        'percent':                                      ['100%%',               [],                     '100%'],
+        'thousands integer':                            ['%\'d',                [-1234567],             '-1,234,567'],
+        'thousands float':                              ['%\'.2f',              [1234.5],               '1,234.50'],
+        'thousands with width':                         ['%\'8d|',              [12345],                '  12,345|'],
+        'thousands ignore zero flag':                   ['%0\'8d|',             [12345],                '  12,345|'],
+        'named arguments':                              ['%(name)s: %(size)\'d', [{ name: 'a.mkv', size: 1024 }], 'a.mkv: 1,024'],
+        'JSON':                                         ['%j',                  [{ a: [1, 'x'] }],      '{"a":[1,"x"]}'],
+        'JSON truncated':                               ['%.4j',                [[1, 2, 3]],            '[1,2'],
+        'inspect dump':                                 ['%O',                  [{ a: [1, 'x'] }],      '{a: [1, \'x\']}'],
+        'inspect dump via %o':                          ['%-8o|',               [[1]],                  '[1]     |'],
+        '%o for numbers & strings':                     ['%o %o',               [8, '8'],               '8 \'8\'']
+    }, function (format, args, exp) {
+        sprintfTests.assertEquals(sprintf.apply(null, [format].concat(args)), exp, format);
+    });
+    sprintfTests.addTest('named arguments need an object', function () {
+        sprintfTests.assertThrows(function () {
+            sprintf('%(name)s', 'a.mkv');
+        }, 'sprintf named arguments require an object as first argument');
+    });
+
+    // runs all registered suites & outputs a summary
+    MUT.runAll();
+}
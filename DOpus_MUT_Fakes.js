@@ -0,0 +1,407 @@
+// @ts-check
+/* eslint quotes: ['error', 'single'] */
+/* eslint-disable no-inner-declarations */
+
+/**
+ * MUT: Mini Unit Tests - fake Directory Opus object model
+ *
+ * @description
+ * In-memory fakes for the commonly used parts of the DOpus object model, so that script logic can be tested
+ * without DOpus, e.g. via DOpus_MUT_Node.js, which loads this file automatically:
+ *
+ * * `DOpus.output()`: captured in `MUTFakes.output`
+ * * `DOpus.Create().Map()` & `DOpus.Create().Vector()` (also `DOpus.Create.Map()` etc.), read via `map(key)` & `vec(i)` as in DOpus
+ * * `DOpus.FSUtil.Exists()`, `.GetItem()` & `.Resolve()` backed by a virtual file system
+ * * `Script.config` values & `Script.vars` (`Get`, `Set`, `Exists`, `Delete`, `vars(name).value`)
+ * * `Enumerator` for Maps (keys) & Vectors, if the host has none
+ *
+ * Install them in the setup and reset them in the teardown, which restores the original globals:
+ *
+ * @example
+ * ```javascript
+    mut.setSetup(function () {
+        MUTFakes.install({
+            config: { 'Debug': true },
+            aliases: { '/home': 'C:\\Users\\me' },
+            files: {
+                'C:\\Users\\me\\movie.mkv': { size: 1024 },
+                'C:\\Users\\me\\subs': { is_dir: true }
+            }
+        });
+    });
+    mut.setTeardown(function () {
+        MUTFakes.reset();
+    });
+    mut.addTest('logs the file size', function () {
+        logSize('/home\\movie.mkv');
+        mut.assertEquals(MUTFakes.output[0], 'movie.mkv: 1024', 'output');
+    });
+ * ```
+ *
+ * @license Creative Commons Attribution-ShareAlike 4.0 International (CC BY-SA 4.0)
+ * @copyright © 2024 cuneytyilmaz.com
+ */
+var MUTFakes = (function () {
+    var root = (function () { return this; })();
+    var globalNames = ['DOpus', 'Script', 'Enumerator'];
+    var saved = null;
+    var files = {};
+    var aliases = {};
+
+    /**
+     * Enumerable fakes expose their items via this method, see FakeEnumerator.
+     */
+    var ITEMS = '_mutItems';
+
+    /**
+     * DOpus collections have a `length` property; functions have a read-only one, which can be redefined in ES5 hosts.
+     */
+    function setLength(fn, value) {
+        try {
+            Object.defineProperty(fn, 'length', { value: value, writable: true, configurable: true });
+        } catch (e) {
+            // not supported, e.g. JScript
+        }
+    }
+
+    function FakeMap() {
+        var keys = [], values = [];
+        // in JScript, DOpus Maps are read by calling them: map(key)
+        var map = function (key) {
+            return map.get(key);
+        };
+        function indexOf(key) {
+            for (var i = 0; i < keys.length; i++) {
+                if (keys[i] === key) return i;
+            }
+            return -1;
+        }
+        function update() {
+            map.count = map.size = keys.length;
+            map.empty = keys.length === 0;
+            setLength(map, keys.length);
+        }
+        map.set = function (key, value) {
+            var i = indexOf(key);
+            if (i === -1) {
+                // DOpus Maps are sorted by key
+                for (i = 0; i < keys.length && keys[i] < key; i++);
+                keys.splice(i, 0, key);
+                values.splice(i, 0, value);
+            } else {
+                values[i] = value;
+            }
+            update();
+        };
+        map.get = function (key) {
+            var i = indexOf(key);
+            return i === -1 ? undefined : values[i];
+        };
+        map.exists = function (key) {
+            return indexOf(key) !== -1;
+        };
+        map.erase = function (key) {
+            var i = indexOf(key);
+            if (i !== -1) {
+                keys.splice(i, 1);
+                values.splice(i, 1);
+            }
+            update();
+        };
+        map.clear = function () {
+            keys = [];
+            values = [];
+            update();
+        };
+        map.assign = function (other) {
+            map.clear();
+            map.merge(other);
+        };
+        map.merge = function (other) {
+            var otherKeys = other[ITEMS]();
+            for (var i = 0; i < otherKeys.length; i++) {
+                map.set(otherKeys[i], other.get(otherKeys[i]));
+            }
+        };
+        map[ITEMS] = function () {
+            return keys.slice(0);
+        };
+        update();
+        return map;
+    }
+
+    function FakeVector() {
+        var items = [];
+        // in JScript, DOpus Vectors are read by calling them: vec(i); vec[i] works as well
+        var vec = function (index) {
+            return items[index];
+        };
+        function update() {
+            var i;
+            for (i in vec) {
+                if (vec.hasOwnProperty(i) && /^\d+$/.test(i) && +i >= items.length) delete vec[i];
+            }
+            for (i = 0; i < items.length; i++) vec[i] = items[i];
+            vec.count = vec.size = items.length;
+            vec.empty = items.length === 0;
+            setLength(vec, items.length);
+        }
+        vec.push_back = function (value) {
+            items.push(value);
+            update();
+        };
+        vec.pop_back = function () {
+            items.pop();
+            update();
+        };
+        vec.insert = function (index, value) {
+            items.splice(index, 0, value);
+            update();
+        };
+        vec.erase = function (index) {
+            items.splice(index, 1);
+            update();
+        };
+        vec.clear = function () {
+            items = [];
+            update();
+        };
+        vec.assign = function (other) {
+            items = other[ITEMS] ? other[ITEMS]() : Array.prototype.slice.call(other, 0);
+            update();
+        };
+        vec.front = function () {
+            return items[0];
+        };
+        vec.back = function () {
+            return items[items.length - 1];
+        };
+        vec[ITEMS] = function () {
+            return items.slice(0);
+        };
+        update();
+        return vec;
+    }
+
+    /**
+     * `Script.vars`: Var objects with `name`, `value` & `persist`, keyed by name.
+     */
+    function FakeVars() {
+        var map = FakeMap();
+        var vars = function (name) {
+            return map.get(name);
+        };
+        function update() {
+            vars.count = map.count;
+            vars.empty = map.empty;
+        }
+        vars.Get = function (name) {
+            var v = map.get(name);
+            return v === undefined ? undefined : v.value;
+        };
+        vars.Set = function (name, value) {
+            var v = map.get(name);
+            if (v === undefined) {
+                map.set(name, { name: name, value: value, persist: false });
+            } else {
+                v.value = value;
+            }
+            update();
+        };
+        vars.Exists = function (name) {
+            return map.exists(name);
+        };
+        /** name may be a wildcard pattern with `*` & `?` */
+        vars.Delete = function (name) {
+            var pattern = new RegExp('^' + String(name).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+            var names = map[ITEMS]();
+            for (var i = 0; i < names.length; i++) {
+                if (pattern.test(names[i])) map.erase(names[i]);
+            }
+            update();
+        };
+        vars[ITEMS] = function () {
+            var names = map[ITEMS](), out = [];
+            for (var i = 0; i < names.length; i++) out.push(map.get(names[i]));
+            return out;
+        };
+        update();
+        return vars;
+    }
+
+    function FakeEnumerator(collection) {
+        var items = collection && typeof collection[ITEMS] === 'function' ? collection[ITEMS]() : Array.prototype.slice.call(collection || [], 0);
+        var pos = 0;
+        this.atEnd = function () { return pos >= items.length; };
+        this.item = function () { return items[pos]; };
+        this.moveNext = function () { pos++; };
+        this.moveFirst = function () { pos = 0; };
+    }
+
+    function normalize(path) {
+        return String(path).replace(/\//g, '\\').replace(/\\+$/, '').toLowerCase();
+    }
+
+    function resolve(path) {
+        path = String(path);
+        for (var alias in aliases) {
+            if (!aliases.hasOwnProperty(alias)) continue;
+            if (path.toLowerCase() === alias.toLowerCase() || path.toLowerCase().indexOf(alias.toLowerCase() + '\\') === 0) {
+                return aliases[alias] + path.slice(alias.length);
+            }
+        }
+        return path;
+    }
+
+    function FakeItem(path, props) {
+        var full = String(path).replace(/\//g, '\\').replace(/\\+$/, '');
+        var sep = full.lastIndexOf('\\');
+        this.name = full.slice(sep + 1);
+        this.path = sep === -1 ? '' : full.slice(0, sep);
+        this.realpath = full;
+        this.is_dir = false;
+        this.size = 0;
+        this.modify = new Date(0);
+        this.create = new Date(0);
+        this.exists = true;
+        for (var k in props) {
+            if (props.hasOwnProperty(k)) this[k] = props[k];
+        }
+        var dot = this.is_dir ? -1 : this.name.lastIndexOf('.');
+        this.ext = dot > 0 ? this.name.slice(dot) : '';
+        this.name_stem = dot > 0 ? this.name.slice(0, dot) : this.name;
+    }
+    FakeItem.prototype.toString = function () {
+        return this.realpath;
+    };
+
+    function addEntry(path, props) {
+        var full = resolve(path), item = new FakeItem(full, props);
+        files[normalize(full)] = item;
+        // parent folders are created implicitly
+        if (item.path && !files[normalize(item.path)]) {
+            addEntry(item.path, { is_dir: true });
+        }
+        return item;
+    }
+
+    function createFactory() {
+        var factory = function () { return factory; };
+        factory.Map = function () { return FakeMap(); };
+        factory.Vector = function () {
+            var vec = FakeVector();
+            for (var i = 0; i < arguments.length; i++) vec.push_back(arguments[i]);
+            return vec;
+        };
+        return factory;
+    }
+
+    function createFSUtil() {
+        var fsu = function () { return fsu; };
+        fsu.Exists = function (path, type) {
+            var item = files[normalize(resolve(path))];
+            if (!item) return false;
+            return type === 'd' ? item.is_dir : type === 'f' ? !item.is_dir : true;
+        };
+        fsu.GetItem = function (path) {
+            var full = resolve(path);
+            return files[normalize(full)] || new FakeItem(full, { exists: false });
+        };
+        fsu.Resolve = function (path) {
+            return resolve(path);
+        };
+        return fsu;
+    }
+
+    var fakes = {
+        /** lines passed to DOpus.output() since the last install() or reset() */
+        output: [],
+
+        /**
+         * Installs the fakes as globals, saving the original ones.
+         *
+         * @param {{config?: object, aliases?: object, files?: object}=} options
+         * * `config`: `Script.config` values
+         * * `aliases`: folder aliases for `FSUtil.Resolve()`, e.g. `{ '/home': 'C:\\Users\\me' }`
+         * * `files`: virtual file system, full paths mapped to Item properties, e.g. `{ size: 1024 }` or `{ is_dir: true }`
+         */
+        install: function (options) {
+            var k;
+            options = options || {};
+            if (!saved) {
+                saved = {};
+                for (var i = 0; i < globalNames.length; i++) {
+                    saved[globalNames[i]] = { exists: globalNames[i] in root, value: root[globalNames[i]] };
+                }
+            }
+            fakes.output = [];
+            files = {};
+            aliases = {};
+            for (k in options.aliases || {}) {
+                if (options.aliases.hasOwnProperty(k)) aliases[k] = options.aliases[k];
+            }
+            for (k in options.files || {}) {
+                if (options.files.hasOwnProperty(k)) addEntry(k, options.files[k]);
+            }
+            root.DOpus = {
+                output: function (msg) {
+                    fakes.output.push(String(msg));
+                },
+                Create: createFactory(),
+                FSUtil: createFSUtil()
+            };
+            root.Script = {
+                config: {},
+                vars: FakeVars()
+            };
+            for (k in options.config || {}) {
+                if (options.config.hasOwnProperty(k)) root.Script.config[k] = options.config[k];
+            }
+            if (!saved.Enumerator.exists) {
+                root.Enumerator = FakeEnumerator;
+            }
+        },
+
+        /**
+         * Restores the original globals and clears all captured output & virtual files.
+         */
+        reset: function () {
+            if (saved) {
+                for (var i = 0; i < globalNames.length; i++) {
+                    if (saved[globalNames[i]].exists) {
+                        root[globalNames[i]] = saved[globalNames[i]].value;
+                    } else {
+                        delete root[globalNames[i]];
+                    }
+                }
+            }
+            saved = null;
+            files = {};
+            aliases = {};
+            fakes.output = [];
+        },
+
+        /**
+         * Adds a file to the virtual file system; parent folders are added implicitly.
+         *
+         * @param {string} path full path, aliases are resolved
+         * @param {object=} props Item properties, e.g. `{ size: 1024, modify: new Date(2024, 0, 1) }`
+         * @returns {object} the fake Item
+         */
+        addFile: function (path, props) {
+            return addEntry(path, props || {});
+        },
+
+        /**
+         * @param {string} path full path, aliases are resolved
+         * @param {object=} props Item properties
+         * @returns {object} the fake Item
+         */
+        addFolder: function (path, props) {
+            props = props || {};
+            props.is_dir = true;
+            return addEntry(path, props);
+        }
+    };
+    return fakes;
+})();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/* eslint quotes: ['error', 'single'] */
+
+/**
+ * MUT: Mini Unit Tests - Node.js runner
+ *
+ * @description
+ * Runs MUT suites headless, e.g. on a build box, so that the same test code runs in DOpus and in CI.
+ *
+ * DOpus_MUT.js (without its samples), DOpus_MUT_Fakes.js (not installed) and then all given files are loaded into
+ * one shared global context, in order, i.e. they behave as if they were concatenated into one script.
+ * Files which contain their own copy of MUT simply replace it; `--reporter` is passed as the global `MUT_REPORTER`,
+ * which the node host of every copy picks up as its default reporter.
+ * The files can call `.run()` on their suites, or `MUT.runAll()` for registered ones; registered suites which have not
+ * been run after all files are loaded are run via `MUT.runAll()`. Every suite with failed or errored tests sets
+ * a non-zero exit code, so does a file which cannot be loaded, or no suite having been run at all.
+ *
+ * @example
+ * ```
+ * node DOpus_MUT_Node.js [--reporter=text|tap|junit|json] file1.js [file2.js ...]
+ * node DOpus_MUT_Node.js DOpus_MUT.js        # runs the samples of MUT itself
+ * ```
+ *
+ * @license Creative Commons Attribution-ShareAlike 4.0 International (CC BY-SA 4.0)
+ * @copyright © 2024 cuneytyilmaz.com
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var LIBRARY = path.join(__dirname, 'DOpus_MUT.js');
+var FAKES = path.join(__dirname, 'DOpus_MUT_Fakes.js');
+
+/**
+ * @param {object} context vm context
+ * @param {string} file
+ * @returns {boolean} false if the file could not be loaded
+ */
+function loadFile(context, file) {
+    try {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+        return true;
+    } catch (e) {
+        console.error('Error in ' + file + ': ' + (e && e.stack || e));
+        return false;
+    }
+}
+
+/**
+ * Runs the registered suites of each copy of MUT which have not been run yet, as one `MUT.runAll()` per copy.
+ *
+ * @param {function[]} copies the MUT constructors of the library & of the files which bring their own
+ * @returns {number} number of suite runs, including those by the files themselves
+ */
+function runPending(copies) {
+    var runs = 0, i, j, MUT, pending, registry;
+    for (i = 0; i < copies.length; i++) {
+        MUT = copies[i];
+        pending = [];
+        for (j = 0; j < MUT.registry.length; j++) {
+            if (MUT.registry[j].getResults() === null) pending.push(MUT.registry[j]);
+        }
+        if (pending.length) {
+            registry = MUT.registry;
+            MUT.registry = pending;
+            try {
+                MUT.runAll();
+            } finally {
+                MUT.registry = registry;
+            }
+        }
+        runs += MUT.runCount;
+    }
+    return runs;
+}
+
+/**
+ * @param {string[]} args command line arguments
+ */
+function main(args) {
+    var files = [], reporter = null, i;
+    for (i = 0; i < args.length; i++) {
+        if (args[i].indexOf('--reporter=') === 0) {
+            reporter = args[i].slice('--reporter='.length);
+        } else {
+            files.push(path.resolve(args[i]));
+        }
+    }
+    if (!files.length) {
+        console.error('usage: node DOpus_MUT_Node.js [--reporter=text|tap|junit|json] file1.js [file2.js ...]');
+        process.exitCode = 2;
+        return;
+    }
+
+    var context = vm.createContext({ console: console, process: process, require: require, MUT_SKIP_SAMPLES: true, MUT_REPORTER: reporter });
+    if (!loadFile(context, LIBRARY) || !loadFile(context, FAKES)) {
+        process.exitCode = 1;
+        return;
+    }
+    delete context.MUT_SKIP_SAMPLES;
+    if (reporter && !context.MUT.reporters.hasOwnProperty(reporter)) {
+        console.error('unknown reporter: ' + reporter);
+        process.exitCode = 2;
+        return;
+    }
+    var copies = [context.MUT];
+    for (i = 0; i < files.length; i++) {
+        if (!loadFile(context, files[i])) {
+            process.exitCode = 1;
+        }
+        if (copies.indexOf(context.MUT) === -1) copies.push(context.MUT);
+    }
+    if (!runPending(copies)) {
+        console.error('no suites were run');
+        process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2));